@@ -0,0 +1,175 @@
+// =====================================
+// Diagnostics for modular-dm data models
+//
+// Copyright BCC South Africa
+// =====================================
+
+/**
+ * Diagnostic information of a control, as returned by dm.Inspect()
+ * @typedef {Object} dmInspection
+ * @property {string} name - Control name
+ * @property {string} path - Absolute path of the control
+ * @property {string} controlType - controlType of the control
+ * @property {boolean} hideData - true if the control is excluded from Get() results and 'data' events
+ * @property {object} properties - Property values, ignoring access control
+ * @property {object} acl - Property access control settings (see SetAccess())
+ * @property {object} roleAcl - Role based access rules (see SetRoleAccess())
+ * @property {object} meta - Property meta data (see SetMeta())
+ * @property {object} computed - Dependencies of computed properties (see SetComputed())
+ * @property {object} listeners - Number of listeners per event name
+ * @property {Array} watchers - Path patterns subscribed to through watch()
+ * @property {Array<dmInspection>} children - Child controls (in their order)
+ */
+
+/**
+ * Get diagnostic information of a control and its child controls
+ * @param {dm} control
+ * @param {number} depth - [Optional] Maximum depth of child controls to include
+ * @returns {dmInspection}
+ */
+function inspectControl(control, depth) {
+    let listeners = {};
+    control.eventNames().forEach((e) => {
+        listeners[String(e)] = control.listenerCount(e);
+    });
+
+    let computed = {};
+    Object.keys(control._computed).forEach((k) => {
+        computed[k] = [...control._computed[k].dependencies];
+    });
+
+    return {
+        name: control._controlName,
+        path: control.GetAbsolutePath(),
+        controlType: control.controlType,
+        hideData: control.hideData,
+        properties: copy(control._properties),
+        acl: copy(control._acl),
+        roleAcl: copy(control._roleAcl),
+        meta: copy(control._meta),
+        computed: computed,
+        listeners: listeners,
+        watchers: control._watchers.map((w) => w.pattern),
+        children:
+            depth == undefined || depth > 0
+                ? control._childOrder.map((n) =>
+                      inspectControl(
+                          control._controls[n],
+                          depth == undefined ? undefined : depth - 1
+                      )
+                  )
+                : [],
+    };
+}
+
+/**
+ * Format diagnostic information returned by inspectControl() as an indented text tree
+ * @param {dmInspection} node
+ * @param {string} indent - [Optional] Indentation of the node
+ * @returns {string}
+ */
+function formatInspection(node, indent = "") {
+    let lines = [
+        `${indent}${node.path ? node.name : "/"} (${node.controlType})${
+            node.hideData ? " [hidden]" : ""
+        }`,
+    ];
+    let i = indent + "  ";
+
+    Object.keys(node.properties).forEach((k) => {
+        // Shown in the control line
+        if (k == "controlType" || k == "hideData") return;
+
+        let details = [];
+        if (node.acl[k]) details.push(`acl: ${JSON.stringify(node.acl[k])}`);
+        if (node.meta[k]) details.push(`meta: ${JSON.stringify(node.meta[k])}`);
+        if (node.computed[k]) {
+            details.push(`computed from: ${node.computed[k].join(", ")}`);
+        }
+
+        lines.push(
+            `${i}${k} = ${JSON.stringify(node.properties[k])}${
+                details.length ? `  [${details.join("; ")}]` : ""
+            }`
+        );
+    });
+
+    Object.keys(node.roleAcl).forEach((role) => {
+        lines.push(`${i}role '${role}': ${JSON.stringify(node.roleAcl[role])}`);
+    });
+
+    let listeners = Object.keys(node.listeners).map(
+        (e) => `${e}(${node.listeners[e]})`
+    );
+    if (listeners.length) lines.push(`${i}listeners: ${listeners.join(", ")}`);
+
+    if (node.watchers.length) {
+        lines.push(`${i}watchers: ${node.watchers.join(", ")}`);
+    }
+
+    node.children.forEach((c) => {
+        lines.push(formatInspection(c, i));
+    });
+
+    return lines.join("\n");
+}
+
+/**
+ * Find event and path pattern subscriptions made with the 'caller' option (on a control and its child controls) of which the caller has been removed
+ * @param {dm} control
+ * @returns {Array} - List of { control, path, eventName, pattern, callerPath, subscription }
+ */
+function findListenerLeaks(control) {
+    let leaks = [];
+
+    control._callerSubscriptions.forEach((s) => {
+        if (s.caller._removed) {
+            leaks.push({
+                control: control,
+                path: control.GetAbsolutePath(),
+                eventName: s.eventName,
+                pattern: s.pattern,
+                callerPath: s.caller.GetAbsolutePath
+                    ? s.caller.GetAbsolutePath()
+                    : undefined,
+                subscription: s,
+            });
+        }
+    });
+
+    Object.values(control._controls).forEach((c) => {
+        leaks.push(...findListenerLeaks(c));
+    });
+
+    return leaks;
+}
+
+/**
+ * Format a change trace entry as a log message
+ * @param {Object} entry - { time, path, property, value, oldValue, origin }
+ * @returns {string}
+ */
+function formatTraceEntry(entry) {
+    return `Trace [${entry.origin}] ${new Date(entry.time).toISOString()} ${[
+        entry.path,
+        entry.property,
+    ]
+        .filter((p) => p)
+        .join("/")}: ${JSON.stringify(entry.oldValue)} -> ${JSON.stringify(
+        entry.value
+    )}`;
+}
+
+/**
+ * Deep copy JSON compatible data
+ * @param {*} value
+ * @returns {*}
+ */
+function copy(value) {
+    return value == undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports.inspectControl = inspectControl;
+module.exports.formatInspection = formatInspection;
+module.exports.findListenerLeaks = findListenerLeaks;
+module.exports.formatTraceEntry = formatTraceEntry;
@@ -5,6 +5,29 @@
 // =====================================
 
 const EventEmitter = require("events");
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { dmFileStorage, dmMemoryStorage } = require("./storage");
+const {
+    validLogLevel,
+    logLevelEnabled,
+    dmConsoleLogSink,
+    dmFileLogSink,
+    dmMemoryLogSink,
+} = require("./logging");
+const {
+    inspectControl,
+    formatInspection,
+    findListenerLeaks,
+    formatTraceEntry,
+} = require("./diagnostics");
+const {
+    dmSyncSerializer,
+    dmSyncApplier,
+    dmMemoryTransport,
+    dmStreamTransport,
+} = require("./sync");
 
 /**
  * modular-dm base class (data model base class)
@@ -19,7 +42,7 @@ class dm extends EventEmitter {
     constructor() {
         super();
         /**
-         * The name of the class. This property should not be set in code.
+         * The name of the class (or the controlType name the class was registered or loaded with). This property should not be set in code.
          * @type {string}
          */
         this.controlType = this.constructor.name;
@@ -76,6 +99,101 @@ class dm extends EventEmitter {
          * List of meta data properties. This metadata will be sent with the 'data' event.
          */
         this._meta = {};
+        /**
+         * List of property persistence settings. Properties set to true are persisted even if not accessible through Get(); properties set to false are never persisted.
+         * @type {object}
+         */
+        this._persist = {};
+        /**
+         * List of property validation schemas.
+         * @type {object}
+         */
+        this._schema = {};
+        /**
+         * Batch update state of batches started on this control through BeginUpdate(). This should not be set in code.
+         * @type {Array}
+         */
+        this._batchLevels = [];
+        /**
+         * Queued notifications and recorded changes of a running batch update. Only set on the outermost batching control. This should not be set in code.
+         * @type {object}
+         */
+        this._batch = undefined;
+        /**
+         * List of path pattern subscriptions registered through watch(). This should not be set in code.
+         * @type {Array}
+         */
+        this._watchers = [];
+        /**
+         * List of computed properties (see SetComputed()).
+         * @type {object}
+         */
+        this._computed = {};
+        /**
+         * True when the control has been created and initialised. This should not be set in code.
+         * @type {boolean}
+         */
+        this._created = false;
+        /**
+         * List of role based access rules (see SetRoleAccess()).
+         * @type {object}
+         */
+        this._roleAcl = {};
+        /**
+         * Property accessor with the control's own ('private') access, created on first use (see _private). This should not be set in code.
+         * @type {Proxy}
+         */
+        this._privateAccessor = undefined;
+        /**
+         * Cache of proxies tracking in-place changes to array and object property values. This should not be set in code.
+         * @type {WeakMap}
+         */
+        this._proxies = new WeakMap();
+        /**
+         * Cache of proxies tracking in-place changes to array and object property values accessed through _private. This should not be set in code.
+         * @type {WeakMap}
+         */
+        this._privateProxies = new WeakMap();
+        /**
+         * Promise resolving when the control's Init() method has completed. This should not be set in code.
+         * @type {Promise}
+         */
+        this._initPromise = Promise.resolve();
+        /**
+         * Ordered list of child control names. This should not be set in code (see Reorder()).
+         * @type {Array}
+         */
+        this._childOrder = [];
+        /**
+         * List of event and path pattern subscriptions made with the 'caller' option, which are removed when the caller is removed. This should not be set in code.
+         * @type {Array}
+         */
+        this._callerSubscriptions = [];
+        /**
+         * True when the control (or one of its parent controls) has been removed. This should not be set in code.
+         * @type {boolean}
+         */
+        this._removed = false;
+        /**
+         * Minimum log level of this control and its child controls (see SetLogLevel()). Inherited from the parent control when not set.
+         * @type {string}
+         */
+        this._logLevel = undefined;
+        /**
+         * List of property history buffers (see SetHistory()).
+         * @type {object}
+         */
+        this._history = {};
+        /**
+         * List of property notification policies (see SetNotifyPolicy()).
+         * @type {object}
+         */
+        this._notifyPolicy = {};
+        /**
+         * List of command methods (see SetCommand()).
+         * @type {object}
+         */
+        this._commands = {};
     }
 
     // -------------------------------------
@@ -122,9 +240,11 @@ class dm extends EventEmitter {
 
             // Automatically unsubscribe from event if the caller is removed
             if (options.caller && options.caller.on) {
-                options.caller.on("remove", () => {
-                    this.off(eventName, listener);
-                });
+                this._addCallerSubscription(
+                    options.caller,
+                    { eventName: eventName, listener: listener },
+                    () => this.off(eventName, listener)
+                );
             }
         }
 
@@ -143,15 +263,163 @@ class dm extends EventEmitter {
         if (options) {
             // Automatically unsubscribe from event if the caller is removed
             if (options.caller && options.caller.on) {
-                options.caller.on("remove", () => {
-                    this.off(eventName, listener);
+                this._addCallerSubscription(
+                    options.caller,
+                    { eventName: eventName, listener: listener },
+                    () => this.off(eventName, listener)
+                );
+            }
+        }
+
+        return listener;
+    }
+
+    /**
+     * Removes the specified listener from the listener array for the event named eventName. The caller's 'remove' subscription made for the listener with the 'caller' option is removed as well.
+     * @param {string} eventName
+     * @param {*} listener - callback function
+     */
+    removeListener(eventName, listener) {
+        super.removeListener(eventName, listener);
+
+        // Listeners added with once() are removed through a wrapper function
+        let l = listener && listener.listener ? listener.listener : listener;
+        let subscribed = this.rawListeners(eventName).some(
+            (r) => r == l || r.listener == l
+        );
+        if (!subscribed) {
+            this._releaseCallerSubscriptions(
+                (s) => s.eventName == eventName && s.listener == l
+            );
+        }
+
+        return this;
+    }
+
+    /**
+     * Alias for removeListener()
+     * @param {string} eventName
+     * @param {*} listener - callback function
+     */
+    off(eventName, listener) {
+        return this.removeListener(eventName, listener);
+    }
+
+    /**
+     * Removes all listeners, or those of the specified eventName. The callers' 'remove' subscriptions made for the removed listeners with the 'caller' option are removed as well.
+     * @param {string} eventName - [Optional]
+     */
+    removeAllListeners(eventName) {
+        if (eventName == undefined) {
+            super.removeAllListeners();
+        } else {
+            super.removeAllListeners(eventName);
+        }
+
+        this._releaseCallerSubscriptions(
+            (s) =>
+                s.eventName != undefined &&
+                (eventName == undefined || s.eventName == eventName)
+        );
+
+        return this;
+    }
+
+    /**
+     * Subscribe to property changes of this control and all (current and future) child controls matching a path pattern. Path segments may contain '*' (any number of characters) and '?' (single character) wildcards, and the '**' segment matches any number of nested controls.
+     * @param {string} pattern - Path pattern relative to this control (e.g. '*\/room*\/doors'), or absolute path pattern starting with '/'
+     * @param {*} listener - callback function (value, oldValue, path, meta), where path is the absolute path of the changed property
+     * @param {*} options - Optional: { immediate: true, caller: [caller control] } - immediate: true: Calls the 'listener' callback function immediately on subscription for all currently matching properties (with oldValue undefined); caller: [caller control]: Automatically unsubscribes when the caller is removed.
+     * @returns listener
+     */
+    watch(pattern, listener, options = {}) {
+        let c = pattern[0] == "/" ? this._topLevelParent : this;
+        c._watchers.push({
+            pattern: pattern,
+            segments: splitPath(pattern).map((p) =>
+                p == "**" ? p : globToRegExp(p)
+            ),
+            listener: listener,
+        });
+
+        if (options) {
+            // Call the immediate callback
+            if (options.immediate) {
+                c.Find(pattern).forEach((r) => {
+                    if (r.property != undefined) {
+                        listener(
+                            r.value,
+                            undefined,
+                            r.path,
+                            r.control._meta[r.property]
+                        );
+                    }
                 });
             }
+
+            // Automatically unsubscribe if the caller is removed
+            if (options.caller && options.caller.on) {
+                c._addCallerSubscription(
+                    options.caller,
+                    { pattern: pattern, listener: listener },
+                    () => this.unwatch(pattern, listener)
+                );
+            }
         }
 
         return listener;
     }
 
+    /**
+     * Unsubscribe a listener subscribed through watch()
+     * @param {string} pattern - Path pattern passed to watch()
+     * @param {*} listener - callback function passed to watch()
+     */
+    unwatch(pattern, listener) {
+        let c = pattern[0] == "/" ? this._topLevelParent : this;
+        let i = c._watchers.findIndex(
+            (w) => w.pattern == pattern && w.listener == listener
+        );
+        if (i >= 0) c._watchers.splice(i, 1);
+
+        if (
+            !c._watchers.some(
+                (w) => w.pattern == pattern && w.listener == listener
+            )
+        ) {
+            c._releaseCallerSubscriptions(
+                (s) => s.pattern == pattern && s.listener == listener
+            );
+        }
+    }
+
+    /**
+     * Subscribe to the 'remove' event of the caller of an event or path pattern subscription, to unsubscribe when the caller is removed
+     * @param {dm} caller - Caller control
+     * @param {Object} subscription - { eventName, listener } or { pattern, listener }
+     * @param {function} unsubscribe - Function removing the subscription
+     */
+    _addCallerSubscription(caller, subscription, unsubscribe) {
+        subscription.caller = caller;
+        subscription.onRemove = unsubscribe;
+        this._callerSubscriptions.push(subscription);
+        caller.on("remove", unsubscribe);
+    }
+
+    /**
+     * Remove caller subscriptions, and unsubscribe from the callers' 'remove' events
+     * @param {function} filter - filter(subscription) returning true for subscriptions to be released
+     */
+    _releaseCallerSubscriptions(filter) {
+        if (!this._callerSubscriptions.length) return;
+
+        this._callerSubscriptions = this._callerSubscriptions.filter((s) => {
+            if (!filter(s)) return true;
+            if (s.caller.off) s.caller.off("remove", s.onRemove);
+            return false;
+        });
+    }
+
     // -------------------------------------
     // Override Functions
     // -------------------------------------
@@ -161,6 +429,29 @@ class dm extends EventEmitter {
      */
     Init() {}
 
+    /**
+     * Overridable method that is called when the control is removed through RemoveChild(), after the Destroy() methods of all child controls have completed. Destroy() may return a promise (e.g. an async function) to close resources before the removal is completed. Destroy() is only called after a pending asynchronous Init() has completed.
+     */
+    Destroy() {}
+
+    /**
+     * Wait until this control and all its child controls are initialised. Child controls created while waiting (e.g. by an asynchronous Init()) are included. Controls of which Init() failed are reported through the 'initError' event and do not reject the returned promise.
+     * @returns {Promise} - Resolves to this control
+     */
+    async whenReady() {
+        await this._initPromise;
+
+        let done = new Set();
+        let pending = Object.values(this._controls);
+        while (pending.length) {
+            pending.forEach((c) => done.add(c));
+            await Promise.all(pending.map((c) => c.whenReady()));
+            pending = Object.values(this._controls).filter((c) => !done.has(c));
+        }
+
+        return this;
+    }
+
     // -------------------------------------
     // Core functions
     // -------------------------------------
@@ -168,378 +459,3660 @@ class dm extends EventEmitter {
     /**
      * Sets a javascript data object, and updates values, creates and removes controls as applicable.
      * @param {object} data
+     * @param {Object} options - [Optional] { role, acl, origin } - role: Role of the caller, used to apply role based access rules (see SetRoleAccess()). Properties with 'private' Set access can only be set by the control itself through this._private.Set(data) (see SetAccess()); acl: false: Ignore 'Set' access control settings (used internally to restore controls to a previous state); origin: Origin of the changes recorded by the change trace (see dmTopLevelContainer.SetTrace()), e.g. 'remote'. Default: 'Set'
      */
-    Set(data) {
+    Set(data, options = {}) {
         if (data && typeof data == "object") {
-            Object.keys(data).forEach((k) => {
-                // Check for remove command
-                if (k == "remove") {
-                    if (data[k] == true) {
-                        this._parent.RemoveChild(this._controlName);
+            let origin = options.origin || "Set";
+
+            // Group all changes into a single undo step
+            let tp = this._topLevelParent;
+            if (tp && tp._undo) tp.BeginUndoGroup();
+            try {
+                Object.keys(data).forEach((k) => {
+                    // Check for remove command
+                    if (k == "remove") {
+                        if (data[k] == true) {
+                            // Removal is a change to the parent control
+                            if (
+                                options.acl === false ||
+                                this._parent._checkAccess(
+                                    undefined,
+                                    "Set",
+                                    options
+                                )
+                            ) {
+                                this._parent.RemoveChild(
+                                    this._controlName,
+                                    true
+                                );
+                            } else {
+                                this._parent._accessDenied(
+                                    this._controlName,
+                                    "Set",
+                                    data,
+                                    options
+                                );
+                            }
+                        }
                     }
-                }
-                // Ignore invalid and special keys
-                else if (k[0] != "_" && k != "controlType") {
-                    // Update this control's settable (not starting with "_") properties
-                    if (
-                        this[k] != undefined &&
-                        (typeof this[k] == "number" ||
-                            typeof this[k] == "string" ||
-                            typeof this[k] == "boolean" ||
-                            Array.isArray(this[k]))
+                    // Ignore invalid and special keys
+                    else if (
+                        k[0] != "_" &&
+                        k != "controlType" &&
+                        k != "template" &&
+                        k != "childOrder" &&
+                        k != "command"
                     ) {
+                        // Update this control's settable (not starting with "_") properties
                         if (
-                            !this._acl[k] ||
-                            !this._acl[k].Set ||
-                            this._acl[k].Set == "public"
+                            Object.prototype.hasOwnProperty.call(
+                                this._properties,
+                                k
+                            )
                         ) {
-                            if (data[k] != null && data[k] != undefined) {
-                                this._bypassNotify = true;
-                                this[k] = data[k];
+                            // Computed properties are read-only. Writes are reported after applying the other data (see _reportComputedWrites()).
+                            if (this._computed[k]) {
+                                // Ignore
+                            } else if (
+                                options.acl === false ||
+                                this._checkAccess(k, "Set", options)
+                            ) {
+                                if (
+                                    isPlainObject(this._properties[k]) &&
+                                    isPlainObject(data[k])
+                                ) {
+                                    // Merge partial object data. Keys set to null are deleted.
+                                    let v = cloneData(this._properties[k]);
+                                    mergeSetData(v, data[k]);
+                                    this._bypassNotify = true;
+                                    this._setProperty(k, v, false, origin);
+                                } else if (
+                                    (data[k] != null && data[k] != undefined) ||
+                                    this._schema[k]
+                                ) {
+                                    // Values are validated by _setProperty() if a schema is set
+                                    this._bypassNotify = true;
+                                    this._setProperty(
+                                        k,
+                                        data[k],
+                                        false,
+                                        origin
+                                    );
+                                } else {
+                                    // Prevent properties to be set to undefined or null
+                                    this._bypassNotify = true;
+                                    this._setProperty(
+                                        k,
+                                        `${data[k]}`,
+                                        false,
+                                        origin
+                                    );
+                                }
                             } else {
-                                // Prevent properties to be set to undefined or null
-                                this._bypassNotify = true;
-                                this[k] = `${data[k]}`;
+                                this._accessDenied(k, "Set", data[k], options);
+                            }
+                        }
+                        // Update child controls. If a child control shares the name of a settable property, the child control will not receive data.
+                        else if (this._controls[k] != undefined) {
+                            this._controls[k].Set(data[k], options);
+                        }
+                        // Create a new child control if the passed data has controlType or template set. If this control is not ready yet (Init did not run yet),
+                        else if (
+                            data[k] != null &&
+                            (data[k].controlType != undefined ||
+                                data[k].template != undefined)
+                        ) {
+                            if (
+                                options.acl === false ||
+                                this._checkAccess(undefined, "Set", options)
+                            ) {
+                                this._createControl(
+                                    this._applyTemplate(data[k], k),
+                                    k,
+                                    options,
+                                    true
+                                );
+                            } else {
+                                this._accessDenied(k, "Set", data[k], options);
                             }
                         }
                     }
-                    // Update child controls. If a child control shares the name of a settable property, the child control will not receive data.
-                    else if (this._controls[k] != undefined) {
-                        this._controls[k].Set(data[k]);
-                    }
-                    // Create a new child control if the passed data has controlType set. If this control is not ready yet (Init did not run yet),
-                    else if (
-                        data[k] != null &&
-                        data[k].controlType != undefined
+                });
+
+                // Computed properties of controls being created are calculated after setting the data (see _createControl())
+                if (this._created) this._reportComputedWrites(data, options);
+
+                // Apply the child control order after creating new child controls
+                if (Array.isArray(data.childOrder)) {
+                    if (
+                        options.acl === false ||
+                        this._checkAccess(undefined, "Set", options)
                     ) {
-                        this._createControl(data[k], k);
+                        this._setChildOrder(data.childOrder, true);
+                    } else {
+                        this._accessDenied(
+                            "childOrder",
+                            "Set",
+                            data.childOrder,
+                            options
+                        );
                     }
                 }
-            });
+
+                // Invoke commands after applying the data. Results are emitted through the 'commandResult' event.
+                if (data.command) {
+                    [].concat(data.command).forEach((cmd) => {
+                        if (cmd && typeof cmd.name == "string") {
+                            this._invokeCommand(
+                                cmd.name,
+                                cmd.args,
+                                Object.assign({}, options, { id: cmd.id })
+                            ).catch(() => {});
+                        }
+                    });
+                }
+            } finally {
+                if (tp && tp._undo) tp.EndUndoGroup();
+            }
         }
     }
 
     /**
      * Get control data as an javascript object
-     * @param {Object} options - { sparse: false/true (true [default]: Do not return empty properties; false: Return empty properties;) }
+     * @param {Object} options - { sparse: false/true (true [default]: Do not return empty properties; false: Return empty properties;), role, history } - role: Role of the caller, used to apply role based access rules (see SetRoleAccess()). Properties with 'private' Get access are only returned to the control itself through this._private.Get() (see SetAccess()); history: true: Include the property history (see SetHistory()) as { _history: { [property]: [{ time, value }] } }. GetHistory() options (e.g. since and limit) are applied to the included history. A path string can be passed instead of options to get data from a child control or property (see GetPath()).
      * @returns
      */
     Get(options = { sparse: true }) {
+        if (typeof options == "string") return this.GetPath(options);
+
         var data = {};
 
         // Get own properties
         Object.getOwnPropertyNames(this._properties).forEach((k) => {
-            if (
-                !this._acl[k] ||
-                !this._acl[k].Get ||
-                this._acl[k] == "public"
-            ) {
+            if (this._checkAccess(k, "Get", options)) {
                 if (
                     (options.sparse && this._properties[k] != "") ||
                     !options.sparse
                 ) {
-                    data[k] = this._properties[k];
+                    data[k] = options.sparse
+                        ? sparseData(this._properties[k])
+                        : cloneData(this._properties[k]);
                 }
             }
         });
 
+        // Get property history
+        if (options.history) {
+            let history = {};
+            Object.keys(this._history).forEach((k) => {
+                let h = this.GetHistory(k, options);
+                if (h) history[k] = h;
+            });
+            if (Object.keys(history).length) data._history = history;
+        }
+
         // Get child controls properties
-        Object.keys(this._controls).forEach((k) => {
+        let order = [];
+        this._childOrder.forEach((k) => {
             if (
                 this._controls[k].Get != undefined &&
-                !this._controls[k].hideData
+                !this._controls[k].hideData &&
+                this._controls[k]._checkAccess(undefined, "Get", options)
             ) {
                 data[k] = this._controls[k].Get(options);
+                order.push(k);
+            }
+        });
+
+        if (order.length) data.childOrder = order;
+
+        return data;
+    }
+
+    /**
+     * Report values passed to Set() for read-only computed properties through the 'accessDenied' event. Values equal to the calculated value (e.g. in data received from a synchronised data model) are not reported.
+     * @param {object} data - Data passed to Set()
+     * @param {Object} options - [Optional] Set() options
+     */
+    _reportComputedWrites(data, options = {}) {
+        // Internal restores of a previous state (e.g. undo) are not reported
+        if (!data || typeof data != "object" || options.acl === false) return;
+
+        Object.keys(this._computed).forEach((k) => {
+            if (
+                Object.prototype.hasOwnProperty.call(data, k) &&
+                !deepEqual(data[k], this._properties[k])
+            ) {
+                this._accessDenied(k, "Set", data[k], options);
+            }
+        });
+    }
+
+    /**
+     * Get the full state of this control and all child controls (including hidden controls and properties not accessible through Get()) as a javascript object that can be passed to Set() or _createControl() to recreate the control tree.
+     * @param {function} filter - [Optional] filter(control, propertyName) function returning false to exclude a property from the snapshot
+     * @returns {object}
+     */
+    _snapshot(filter) {
+        var data = {};
+
+        Object.getOwnPropertyNames(this._properties).forEach((k) => {
+            if (!filter || filter(this, k)) {
+                data[k] = cloneData(this._properties[k]);
+            }
+        });
+
+        this._childOrder.forEach((k) => {
+            if (this._controls[k]._snapshot != undefined) {
+                data[k] = this._controls[k]._snapshot(filter);
             }
         });
 
+        if (this._childOrder.length) data.childOrder = [...this._childOrder];
+
         return data;
     }
 
     /**
-     * Remove child control
+     * Remove child control. The removal is notified as { [control]: { remove: true } } through the 'data' event.
      * @param {*} control - Name of the child control
+     * @param {boolean} bypassNotify - [Optional] true: Do not notify the removal through the 'data' event (used internally when the control is removed through Set())
+     * @returns {Promise} - Resolves when the Destroy() methods of the removed control and its child controls have completed
      */
-    RemoveChild(control) {
+    RemoveChild(control, bypassNotify) {
         if (this._controls[control] != undefined) {
             let c = this._controls[control];
 
+            // Record the full state of the removed control to be able to undo the removal
+            let tp = this._topLevelParent;
+            if (tp && tp._undo) {
+                tp._recordUndo({
+                    type: "remove",
+                    path: this._pathNames(),
+                    name: control,
+                    index: this._childOrder.indexOf(control),
+                    state: c._snapshot(),
+                });
+            }
+
             // Emit remove event
             c.emit("remove", c);
+            c._setRemoved();
 
             delete this._controls[control];
             delete this[control];
+            this._childOrder = this._childOrder.filter((n) => n != control);
 
             // Unregister from all events
             c.removeAllListeners();
+            c._clearWatchers();
+
+            if (!bypassNotify && !c.hideData) {
+                this._notify({ [control]: { remove: true } }, {});
+            }
+
+            this._subtreeChanged();
+
+            return c._destroy();
         }
+
+        return Promise.resolve();
     }
 
     /**
-     * Notifies parent control of a change to the given property or array of properties and triggers the onChange event.
-     * @param {*} propertyNames - Single string or array of string property names
+     * Mark this control and all child controls as removed, and cancel held back notifications
      */
-    NotifyProperty(propertyNames) {
-        let data = {};
-        let meta = {};
-        if (Array.isArray(propertyNames)) {
-            propertyNames.forEach((p) => {
-                if (
-                    !this._acl[p] ||
-                    !this._acl[p].Get ||
-                    this._acl[p].Get == "public"
-                ) {
-                    if (this[p] != undefined) {
-                        data[p] = this[p];
-                        meta[p] = this._meta[p];
-                    }
-                }
-            });
-        } else {
-            if (this[propertyNames] != undefined) {
-                if (
-                    !this._acl[propertyNames] ||
-                    !this._acl[propertyNames].Get ||
-                    this._acl[propertyNames].Get == "public"
-                ) {
-                    data[propertyNames] = this[propertyNames];
-                    meta[propertyNames] = this._meta[propertyNames];
-                }
-            }
-        }
-
-        this._notify(data, meta);
+    _setRemoved() {
+        this._removed = true;
+        Object.values(this._notifyPolicy).forEach((n) => {
+            clearTimeout(n.timer);
+        });
+        Object.values(this._controls).forEach((c) => c._setRemoved());
     }
 
     /**
-     * Log events to an event log (exposed as 'log' event on the top level parent)
-     * @param {String} message
+     * Call Destroy() on the child controls (children first) and on this control, after a pending Init() has completed
      */
-    Log(message) {
-        this._topLevelParent.emit(
-            "log",
-            `${this.constructor.name} | ${this._controlName}: ${message}`
+    async _destroy() {
+        await this._initPromise;
+        await Promise.all(
+            Object.values(this._controls).map((c) => c._destroy())
         );
+
+        try {
+            await this.Destroy();
+        } catch (err) {
+            this._lifecycleError("destroyError", err);
+        }
     }
 
-    // notifies parent of data change, and triggers onChange event.
-    _notify(data, meta) {
-        if (this._parent != undefined) {
-            let n = {
-                [this._controlName]: data,
-            };
+    /**
+     * Emit an 'initError' or 'destroyError' event for a failed Init() or Destroy() method
+     * @param {string} eventName - 'initError' or 'destroyError'
+     * @param {Error} error - Error thrown or rejected by Init() or Destroy()
+     */
+    _lifecycleError(eventName, error) {
+        let path = this.GetAbsolutePath();
+        this.Log(
+            `${
+                eventName == "initError" ? "Init()" : "Destroy()"
+            } failed for "${path}": ${
+                error && error.message ? error.message : error
+            }`,
+            "error",
+            { error: error && error.stack ? error.stack : `${error}` }
+        );
+        this.emit(
+            eventName,
+            { path: path, controlType: this.controlType, error: error },
+            "bubble"
+        );
+    }
 
-            if (!this.hideData) {
-                this._parent._notify(n, meta);
-            }
+    /**
+     * Create a copy of this control (including its controlType, current properties and child controls) as a child control of the passed parent control. Creation of the copy is notified through the 'data' event.
+     * @param {string} newName - Name of the new control
+     * @param {dm} newParent - [Optional] Parent control of the new control. Defaults to the parent of this control.
+     * @returns {dm} - The new control, or undefined if the control could not be created
+     */
+    Clone(newName, newParent) {
+        let parent = newParent || this._parent;
+        if (!parent) {
+            throw new Error("The top level container can not be cloned");
         }
+        parent._checkChildName(newName);
 
-        this.emit("data", data, undefined, meta);
+        parent._createControl(this._snapshot(), newName, { acl: false });
+        return parent._controls[newName];
     }
 
     /**
-     * Return an existing class from a passed string class name, or try to require the passed name (js file should have the same name)
-     * @param {*} name - class name
-     * @returns class
+     * Move this control (including its child controls) to another parent control and / or rename it. The control is not recreated: its state, event subscriptions and pending operations are kept. The move is notified through the 'data' event as the removal of the control from its previous parent ({ [name]: { remove: true } }) and the creation of the control in its new parent. The [controlName] and 'newChildControl' events are emitted on the new parent, and a 'move' event ({ from, to }) is emitted on the control.
+     * @param {dm} newParent - New parent control
+     * @param {string} newName - [Optional] New name of the control. Defaults to the current name.
+     * @returns {dm} - This control
      */
-    _getDynamicClass(name) {
-        // adapted from https://stackoverflow.com/questions/5646279/get-object-class-from-string-name-in-javascript
+    Move(newParent, newName = this._controlName) {
+        let oldParent = this._parent;
+        let oldName = this._controlName;
         let tp = this._topLevelParent;
 
-        if (!tp._cls_[name]) {
-            // cache is not ready, fill it up
-            if (name.match(/^[a-zA-Z0-9_]+$/)) {
-                // proceed only if the name is a single word string
-                try {
-                    let p = this._path;
-                    if (!this._path) p = "";
-                    let c = require(`${p}/${name}`);
-                    if (c) {
-                        tp._cls_[name] = c;
-                    }
-                } catch {
-                    return undefined;
-                }
-            } else {
-                return undefined;
+        if (!oldParent) {
+            throw new Error("The top level container can not be moved");
+        }
+        if (!newParent || newParent._topLevelParent != tp) {
+            throw new Error(
+                `Invalid parent control passed to move "${this.GetAbsolutePath()}"`
+            );
+        }
+        for (let c = newParent; c; c = c._parent) {
+            if (c == this) {
+                throw new Error(
+                    `Unable to move "${this.GetAbsolutePath()}" into itself`
+                );
             }
         }
-        return tp._cls_[name];
-    }
+        if (newParent == oldParent && newName == oldName) return this;
+        newParent._checkChildName(newName);
 
-    /**
-     * Create a new control
-     * @param {*} data - control data
-     * @param {*} name - control name
-     */
-    _createControl(data, name) {
-        let controlClass = this._getDynamicClass(data.controlType);
+        let from = this.GetAbsolutePath();
 
-        if (controlClass) {
-            // Create new control
-            let control = new controlClass();
+        if (tp._undo) {
+            tp._recordUndo({
+                type: "move",
+                path: oldParent._pathNames(),
+                name: oldName,
+                index: oldParent._childOrder.indexOf(oldName),
+                toPath: newParent._pathNames(),
+                toName: newName,
+            });
+        }
+
+        // Remove from the previous parent
+        delete oldParent._controls[oldName];
+        delete oldParent[oldName];
+        oldParent._childOrder = oldParent._childOrder.filter(
+            (n) => n != oldName
+        );
+        if (!this.hideData) {
+            oldParent._notify({ [oldName]: { remove: true } }, {});
+        }
+        oldParent._subtreeChanged();
+
+        // Add to the new parent
+        this._controlName = newName;
+        this._parent = newParent;
+        newParent._controls[newName] = this;
+        newParent[newName] = this;
+        newParent._childOrder.push(newName);
+        if (!this.hideData) {
+            newParent._notify({ [newName]: this.Get({ sparse: false }) }, {});
+        }
+
+        newParent.emit(newName, this);
+        newParent.emit("newChildControl", this);
+        this.emit("move", { from: from, to: this.GetAbsolutePath() });
+
+        newParent._subtreeChanged();
+
+        return this;
+    }
+
+    /**
+     * Rename this control. See Move().
+     * @param {string} newName - New name of the control
+     * @returns {dm} - This control
+     */
+    Rename(newName) {
+        return this.Move(this._parent, newName);
+    }
+
+    /**
+     * Check if a new child control can be added with the passed name
+     * @param {string} name - Name of the new child control
+     */
+    _checkChildName(name) {
+        if (
+            typeof name != "string" ||
+            !name ||
+            name[0] == "_" ||
+            name.includes("/") ||
+            [
+                "controlType",
+                "template",
+                "remove",
+                "childOrder",
+                "command",
+            ].includes(name)
+        ) {
+            throw new Error(`Invalid control name "${name}"`);
+        }
+        if (this._hasProperty(name)) {
+            throw new Error(
+                `"${joinPath(this.GetAbsolutePath(), name)}" already exists`
+            );
+        }
+    }
+
+    /**
+     * Get the child controls in their order
+     * @param {Object} options - [Optional] { type: [controlType / class] } - type: Only return child controls of the passed controlType, or child controls that are instances of the passed class
+     * @returns {Array} - List of child controls
+     */
+    Children(options = {}) {
+        return this._childOrder
+            .map((n) => this._controls[n])
+            .filter(
+                (c) =>
+                    !options.type ||
+                    (typeof options.type == "function"
+                        ? c instanceof options.type
+                        : c.controlType == options.type)
+            );
+    }
+
+    /**
+     * Create a child control at the passed position. The creation and the new child control order are notified in a single 'data' event.
+     * @param {string} name - Name of the new child control
+     * @param {object} data - Child control data, including the controlType or template
+     * @param {number} index - [Optional] Position of the new child control. Defaults to the last position.
+     * @returns {dm} - The new control, or undefined if the control could not be created
+     */
+    InsertChild(name, data, index) {
+        this._checkChildName(name);
+
+        let tp = this._topLevelParent;
+        if (tp._undo) tp.BeginUndoGroup();
+        try {
+            return this.Batch(() => {
+                this._createControl(this._applyTemplate(data, name), name, {});
+                if (this._controls[name] && index != undefined) {
+                    this.MoveChild(name, index);
+                }
+                return this._controls[name];
+            });
+        } finally {
+            if (tp._undo) tp.EndUndoGroup();
+        }
+    }
+
+    /**
+     * Change the order of the child controls. Child controls not included in the passed list are placed after the listed child controls, in their current order.
+     * @param {Array} names - List of child control names in the new order
+     * @returns {boolean} - true if the order changed
+     */
+    Reorder(names) {
+        return this._setChildOrder(names);
+    }
+
+    /**
+     * Move a child control to the passed position
+     * @param {string} name - Child control name
+     * @param {number} index - New position of the child control
+     * @returns {boolean} - true if the order changed
+     */
+    MoveChild(name, index) {
+        if (this._controls[name] == undefined) return false;
+
+        let order = this._childOrder.filter((n) => n != name);
+        index = Math.max(0, Math.min(order.length, index));
+        order.splice(index, 0, name);
+        return this._setChildOrder(order);
+    }
+
+    /**
+     * Set the order of the child controls, notify the new order as { childOrder: [names] } through the 'data' event (excluding hidden controls) and emit the 'childOrder' event
+     * @param {Array} names - List of child control names
+     * @param {boolean} bypassNotify - [Optional] true: Do not notify the new order through the 'data' event (used internally when the order is set through Set())
+     * @returns {boolean} - true if the order changed
+     */
+    _setChildOrder(names, bypassNotify) {
+        let order = names.filter(
+            (n, i) => this._controls[n] != undefined && names.indexOf(n) == i
+        );
+        this._childOrder.forEach((n) => {
+            if (!order.includes(n)) order.push(n);
+        });
+
+        if (order.every((n, i) => n == this._childOrder[i])) return false;
+
+        let tp = this._topLevelParent;
+        if (tp && tp._undo) {
+            tp._recordUndo({
+                type: "order",
+                path: this._pathNames(),
+                oldValue: [...this._childOrder],
+                newValue: order,
+            });
+        }
+
+        this._childOrder = order;
+
+        if (!bypassNotify) {
+            this._notify(
+                {
+                    childOrder: order.filter(
+                        (n) => !this._controls[n].hideData
+                    ),
+                },
+                {}
+            );
+        }
+
+        this.emit("childOrder", [...order]);
+
+        return true;
+    }
+
+    /**
+     * Recalculate a computed property
+     * @param {string} k - Property name
+     * @param {boolean} bypassNotify - [Optional] true: Do not notify the new value through the 'data' event
+     */
+    _recompute(k, bypassNotify) {
+        let c = this._computed[k];
+
+        // Computed properties are calculated after the control's initial data has been set
+        if (!c || (!this._created && !bypassNotify)) return;
+
+        // Detect cycles between computed properties of different controls
+        if (computeStack.some((e) => e.control == this && e.property == k)) {
+            let chain = [...computeStack, { control: this, property: k }].map(
+                (e) => joinPath(e.control.GetAbsolutePath(), e.property)
+            );
+            throw new Error(
+                `Computed property dependency cycle: ${chain.join(" -> ")}`
+            );
+        }
+
+        computeStack.push({ control: this, property: k });
+        try {
+            let val = c.compute.call(this);
+            c.updating = true;
+            this._bypassNotify = bypassNotify == true;
+            this._setProperty(k, val, false, "computed");
+        } finally {
+            c.updating = false;
+            this._bypassNotify = false;
+            computeStack.pop();
+        }
+    }
+
+    /**
+     * Calculate all computed properties of this control without notifying the values, where computed properties depending on other computed properties are calculated after their dependencies
+     */
+    _computeAll() {
+        let done = {};
+        let calc = (k) => {
+            if (done[k]) return;
+            done[k] = true;
+            this._computed[k].dependencies.forEach((d) => {
+                if (this._computed[d]) calc(d);
+            });
+            this._recompute(k, true);
+        };
+        Object.keys(this._computed).forEach(calc);
+    }
+
+    /**
+     * Recalculate computed properties with child control dependencies of this control and all parent controls. Called when a child control is created or removed.
+     */
+    _subtreeChanged() {
+        let c = this;
+        while (c) {
+            Object.keys(c._computed).forEach((k) => {
+                if (c._computed[k].dependencies.some((d) => d.includes("/"))) {
+                    c._recompute(k);
+                }
+            });
+            c = c._parent;
+        }
+    }
+
+    /**
+     * Remove all path pattern subscriptions from this control and all child controls
+     */
+    _clearWatchers() {
+        this._watchers = [];
+        this._releaseCallerSubscriptions((s) => s.pattern != undefined);
+        Object.values(this._controls).forEach((c) => {
+            c._clearWatchers();
+        });
+    }
+
+    /**
+     * Call the listeners of path pattern subscriptions (on this control and parent controls) matching a changed property
+     * @param {string} property - Property name
+     * @param {*} value - New value
+     * @param {*} oldValue - Previous value
+     */
+    _notifyWatchers(property, value, oldValue) {
+        let segments = [property];
+        let path;
+        let c = this;
+        while (c) {
+            if (c._watchers.length) {
+                if (!path) path = joinPath(this.GetAbsolutePath(), property);
+
+                // Copy the list, as listeners may unsubscribe
+                [...c._watchers].forEach((w) => {
+                    if (matchPath(w.segments, segments)) {
+                        w.listener(value, oldValue, path, this._meta[property]);
+                    }
+                });
+            }
+
+            // Stop at removed controls
+            if (c._parent && c._parent._controls[c._controlName] != c) break;
+
+            segments = [c._controlName, ...segments];
+            c = c._parent;
+        }
+    }
+
+    /**
+     * Notifies parent control of a change to the given property or array of properties and triggers the onChange event.
+     * @param {*} propertyNames - Single string or array of string property names
+     */
+    NotifyProperty(propertyNames) {
+        let data = {};
+        let meta = {};
+        if (!Array.isArray(propertyNames)) propertyNames = [propertyNames];
+
+        let held = 0;
+        propertyNames.forEach((p) => {
+            // Read tracked properties directly, so that getter access control does not apply
+            let v = Object.prototype.hasOwnProperty.call(this._properties, p)
+                ? this._properties[p]
+                : this[p];
+
+            // Apply the property's notification policy (see SetNotifyPolicy())
+            if (this._notifyPolicy[p] && !this._applyNotifyPolicy(p, v)) {
+                held++;
+                return;
+            }
+
+            if (v != undefined && this._checkAccess(p, "Get")) {
+                data[p] = cloneData(v);
+                meta[p] = this._meta[p];
+            }
+        });
+
+        if (held < propertyNames.length) this._notify(data, meta);
+    }
+
+    /**
+     * Send notifications held back by notification policies (see SetNotifyPolicy()) of this control and all child controls
+     */
+    Flush() {
+        Object.keys(this._notifyPolicy).forEach((k) => {
+            this._flushNotifyPolicy(k);
+        });
+        Object.values(this._controls).forEach((c) => c.Flush());
+    }
+
+    /**
+     * Apply a notification policy to a property change notification
+     * @param {string} k - Property name
+     * @param {*} value - New property value
+     * @returns {boolean} - true if the change should be notified now
+     */
+    _applyNotifyPolicy(k, value) {
+        let n = this._notifyPolicy[k];
+        let now = Date.now();
+
+        if (!n.flushing) {
+            // Hold back numeric changes smaller than delta until Flush()
+            if (
+                n.delta != undefined &&
+                typeof value == "number" &&
+                typeof n.lastValue == "number" &&
+                Math.abs(value - n.lastValue) < n.delta
+            ) {
+                n.pending = true;
+                return false;
+            }
+
+            // Notify the last value after no changes were made for [debounce] ms
+            if (n.debounce) {
+                clearTimeout(n.timer);
+                n.pending = true;
+                n.timer = setTimeout(() => {
+                    this._flushNotifyPolicy(k);
+                }, n.debounce);
+                return false;
+            }
+
+            // Notify at most once per [throttle] ms. The last value is notified when the throttle time expires.
+            if (n.throttle && now - n.lastTime < n.throttle) {
+                n.pending = true;
+                if (!n.timer) {
+                    n.timer = setTimeout(() => {
+                        this._flushNotifyPolicy(k);
+                    }, n.lastTime + n.throttle - now);
+                }
+                return false;
+            }
+        }
+
+        n.lastValue = cloneData(value);
+        n.lastTime = now;
+        n.pending = false;
+        return true;
+    }
+
+    /**
+     * Send a notification held back by a notification policy
+     * @param {string} k - Property name
+     */
+    _flushNotifyPolicy(k) {
+        let n = this._notifyPolicy[k];
+        clearTimeout(n.timer);
+        n.timer = undefined;
+
+        if (!n.pending) return;
+        n.pending = false;
+
+        n.flushing = true;
+        try {
+            this.NotifyProperty(k);
+        } finally {
+            n.flushing = false;
+        }
+    }
+
+    /**
+     * Get a diagnostic dump of this control and all child controls, including the controlType, properties (ignoring access control), access control settings, meta data, computed properties, event listener counts and path pattern subscriptions of every control
+     * @param {Object} options - [Optional] { text: true/false(default), depth: [number] } - text: Return the dump as formatted text instead of an object tree; depth: Maximum depth of child controls to include
+     * @returns {object|string}
+     */
+    Inspect(options = {}) {
+        let tree = inspectControl(this, options.depth);
+        return options.text ? formatInspection(tree) : tree;
+    }
+
+    /**
+     * Find event and path pattern subscriptions (on this control and all child controls) made with the 'caller' option of which the caller has been removed without the subscription being removed, e.g. when the caller was a child control of a removed control. Found subscriptions are reported through the log.
+     * @param {Object} options - [Optional] { remove: true/false(default) } - remove: Remove the found subscriptions
+     * @returns {Array} - List of { path, eventName, pattern, callerPath, caller, listener }
+     */
+    FindListenerLeaks(options = {}) {
+        let leaks = findListenerLeaks(this);
+
+        leaks.forEach((l) => {
+            l.control.Log(
+                `Listener leak: ${
+                    l.eventName != undefined
+                        ? `'${l.eventName}' event`
+                        : `watch('${l.pattern}')`
+                } subscription with removed caller "${l.callerPath}"`,
+                "warn"
+            );
+            if (options.remove) l.subscription.onRemove();
+        });
+
+        return leaks.map((l) => ({
+            path: l.path,
+            eventName: l.eventName,
+            pattern: l.pattern,
+            callerPath: l.callerPath,
+            caller: l.subscription.caller,
+            listener: l.subscription.listener,
+        }));
+    }
+
+    /**
+     * Log events to an event log. Log entries are emitted as text through the 'log' event on the top level parent, and as structured entries (see logging.js) to the log sinks added to the top level parent with AddLogSink(). Entries below the log level set with SetLogLevel() are ignored.
+     * @param {String} message
+     * @param {String} level - [Optional] 'debug', 'info'(default), 'warn' or 'error'
+     * @param {Object} fields - [Optional] Additional structured data included in the log entry
+     */
+    Log(message, level = "info", fields) {
+        let tp = this._topLevelParent;
+        if (!tp) return;
+        if (!validLogLevel(level)) level = "info";
+        if (!logLevelEnabled(level, this._getLogLevel())) return;
+
+        let path = this.GetAbsolutePath();
+        tp.emit(
+            "log",
+            `${this.constructor.name} | ${
+                path || this._controlName
+            }: ${message}`
+        );
+
+        if (tp._logSinks.length) {
+            let entry = {
+                time: Date.now(),
+                level: level,
+                message: `${message}`,
+                path: path,
+                controlType: this.controlType,
+                className: this.constructor.name,
+                fields: fields || {},
+            };
+
+            tp._logSinks.forEach((sink) => {
+                if (!logLevelEnabled(level, sink.level)) return;
+                try {
+                    sink.write(entry);
+                } catch (err) {
+                    // A failing sink should not affect the data model or other sinks
+                }
+            });
+        }
+    }
+
+    /**
+     * Set the minimum log level of this control and its child controls. Child controls inherit the log level unless a log level is set on the child control.
+     * @param {String} level - 'debug', 'info', 'warn' or 'error'. Pass undefined to inherit the log level of the parent control (all levels are logged when no log level is set).
+     */
+    SetLogLevel(level) {
+        if (level != undefined && !validLogLevel(level)) {
+            throw new Error(`Invalid log level "${level}"`);
+        }
+        this._logLevel = level;
+    }
+
+    /**
+     * Get the log level of this control, inherited from the nearest parent control with a log level set
+     * @returns {String}
+     */
+    _getLogLevel() {
+        for (let c = this; c; c = c._parent) {
+            if (c._logLevel != undefined) return c._logLevel;
+        }
+    }
+
+    /**
+     * Get the absolute path of this control, e.g. 'house1/room2'. The path of the top level container is an empty string.
+     * @returns {string}
+     */
+    GetAbsolutePath() {
+        return this._pathNames().join("/");
+    }
+
+    /**
+     * Get a child control by path
+     * @param {string} path - Path relative to this control (e.g. 'house1/room2'), or absolute path starting with '/'
+     * @returns {dm} - control, or undefined if not found
+     */
+    GetControl(path) {
+        let r = this._resolvePath(path);
+        if (r && !r.property) return r.control;
+    }
+
+    /**
+     * Get the value of a property, or the data of a child control (see Get()) by path
+     * @param {string} path - Path relative to this control (e.g. 'house1/room2/doors'), or absolute path starting with '/'
+     * @param {Object} options - [Optional] Get() options
+     * @returns {*} - property value, control data, or undefined if not found
+     */
+    GetPath(path, options = { sparse: true }) {
+        let r = this._resolvePath(path);
+        if (!r) return undefined;
+
+        if (r.property) {
+            if (r.control._checkAccess(r.property, "Get", options)) {
+                return cloneData(r.control._properties[r.property]);
+            }
+        } else {
+            return r.control.Get(options);
+        }
+    }
+
+    /**
+     * Set a property value, or control data by path through Set(). Child controls can be created by passing data with controlType set.
+     * @param {string} path - Path relative to this control (e.g. 'house1/room2' or 'house1/room2/doors'), or absolute path starting with '/'
+     * @param {*} value - Property value or control data
+     */
+    SetPath(path, value) {
+        let segments = splitPath(path);
+        let c = path[0] == "/" ? this._topLevelParent : this;
+        if (!segments.length) {
+            c.Set(value);
+            return;
+        }
+
+        let data = value;
+        for (let i = segments.length - 1; i >= 0; i--) {
+            data = { [segments[i]]: data };
+        }
+        c.Set(data);
+    }
+
+    /**
+     * Find child controls and properties matching a path pattern. Path segments may contain '*' (any number of characters) and '?' (single character) wildcards, and the '**' segment matches any number of nested controls.
+     * @param {string} pattern - Path pattern relative to this control (e.g. '*\/room*\/windows'), or absolute path pattern starting with '/'
+     * @param {Object} options - [Optional] { controlType: [string], role } - controlType: Only return controls (or properties of controls) of the given control type; role: See Get()
+     * @returns {Array} - List of { path, control, property, value } results, where path is the absolute path of the result, control is the matched control (or the control owning the matched property), property is the matched property name (undefined for controls) and value is the property value or control data
+     */
+    Find(pattern, options = {}) {
+        let segments = splitPath(pattern);
+        let c = pattern[0] == "/" ? this._topLevelParent : this;
+        let results = new Map();
+
+        let add = (control, property) => {
+            if (
+                options.controlType &&
+                control.controlType != options.controlType
+            ) {
+                return;
+            }
+
+            let path = joinPath(control.GetAbsolutePath(), property);
+            if (results.has(path)) return;
+
+            if (property == undefined) {
+                results.set(path, {
+                    path: path,
+                    control: control,
+                    property: undefined,
+                    value: control.Get(
+                        Object.assign({ sparse: true }, options)
+                    ),
+                });
+            } else if (control._checkAccess(property, "Get", options)) {
+                results.set(path, {
+                    path: path,
+                    control: control,
+                    property: property,
+                    value: cloneData(control._properties[property]),
+                });
+            }
+        };
+
+        let match = (control, i) => {
+            if (i == segments.length) {
+                add(control);
+                return;
+            }
+
+            if (segments[i] == "**") {
+                match(control, i + 1);
+                Object.values(control._controls).forEach((child) => {
+                    match(child, i);
+                });
+                return;
+            }
+
+            let re = globToRegExp(segments[i]);
+            Object.keys(control._controls).forEach((name) => {
+                if (re.test(name)) match(control._controls[name], i + 1);
+            });
+
+            if (i == segments.length - 1) {
+                Object.keys(control._properties).forEach((k) => {
+                    if (re.test(k)) add(control, k);
+                });
+            }
+        };
+
+        match(c, 0);
+
+        return [...results.values()];
+    }
+
+    /**
+     * Invoke a command method (see SetCommand()) by path. The result is also emitted through the 'commandResult' event ({ id, path, command, result, error }, bubbled up to the top level parent).
+     * @param {string} path - Path to the command relative to this control (e.g. 'house1/room1/reset'), or absolute path starting with '/'
+     * @param {Array} args - [Optional] List of arguments
+     * @param {Object} options - [Optional] { id, role } - id: Identifier included in the 'commandResult' event, used to correlate the result with the request (default: automatically generated); role: see Set(). Commands with 'private' Call access can only be invoked by the control itself through this._private.Call().
+     * @returns {Promise} - Resolves to the return value of the command method, or rejects if the command is not found, access is denied, an argument is invalid or the command method fails
+     */
+    Call(path, args, options = {}) {
+        let segments = splitPath(path);
+        let name = segments.pop();
+        let c = path[0] == "/" ? this._topLevelParent : this;
+        segments.forEach((k) => {
+            c = c && c._controls[k];
+        });
+
+        if (!c || name == undefined) {
+            return Promise.reject(new Error(`Command "${path}" not found`));
+        }
+
+        return c._invokeCommand(name, args, options);
+    }
+
+    /**
+     * Invoke a command method of this control, and emit the result through the 'commandResult' event
+     * @param {string} name - Command name
+     * @param {Array} args - List of arguments
+     * @param {Object} options - { id, role } (see Call())
+     * @returns {Promise}
+     */
+    async _invokeCommand(name, args, options) {
+        let id = options.id != undefined ? options.id : ++commandId;
+        let path = joinPath(this.GetAbsolutePath(), name);
+        let result, error;
+
+        try {
+            let command = Object.prototype.hasOwnProperty.call(
+                this._commands,
+                name
+            )
+                ? this._commands[name]
+                : undefined;
+            if (!command) {
+                throw new Error(`Command "${path}" not found`);
+            }
+
+            if (!this._checkAccess(name, "Call", options)) {
+                this._accessDenied(name, "Call", args, options);
+                throw new Error(`Access denied: Call "${path}"`);
+            }
+
+            args = validateArgs(command.args, args, path);
+
+            let handler = command.handler || this[name];
+            result = await handler.apply(this, args);
+        } catch (err) {
+            error = err;
+            this.Log(
+                `Command "${path}" failed: ${
+                    err && err.message ? err.message : err
+                }`,
+                "warn",
+                { command: name, id: id }
+            );
+        }
+
+        this.emit(
+            "commandResult",
+            {
+                id: id,
+                path: path,
+                command: name,
+                result: result,
+                error: error,
+            },
+            "bubble"
+        );
+
+        if (error) throw error;
+        return result;
+    }
+
+    /**
+     * Resolve a path to a control or a control's property
+     * @param {string} path - Path relative to this control, or absolute path starting with '/'
+     * @returns {Object} - { control, property }, or undefined if not found. property is undefined if the path refers to a control.
+     */
+    _resolvePath(path) {
+        let segments = splitPath(path);
+        let c = path[0] == "/" ? this._topLevelParent : this;
+
+        for (let i = 0; i < segments.length; i++) {
+            let k = segments[i];
+            if (c._controls[k]) {
+                c = c._controls[k];
+            } else if (
+                i == segments.length - 1 &&
+                Object.prototype.hasOwnProperty.call(c._properties, k)
+            ) {
+                return { control: c, property: k };
+            } else {
+                return undefined;
+            }
+        }
+
+        return { control: c, property: undefined };
+    }
+
+    /**
+     * Check if access to a property is allowed
+     * @param {string} property - Property name. When undefined, only role based access rules of the control are checked (e.g. for the creation or removal of child controls).
+     * @param {string} type - Access type: 'Set', 'Get', 'setter', 'getter' or 'Call' (see SetAccess())
+     * @param {Object} options - [Optional] { role } (see Set()). 'private' access is granted to options passed by the control's _private accessor.
+     * @returns {boolean}
+     */
+    _checkAccess(property, type, options = {}) {
+        let acl = property != undefined ? this._acl[property] : undefined;
+        let level = acl && acl[type] ? `${acl[type]}`.toLowerCase() : "public";
+
+        if (level == "none") return false;
+
+        let own = options[privateAccess] === this;
+        if (level == "private") return own;
+
+        // The control itself is not subject to role based access rules
+        if (options.role != undefined && !own) {
+            let rule = this._roleRule(options.role, type);
+            if (rule && `${rule}`.toLowerCase() == "none") return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the role based access rule for a role and access type, as set on this control or inherited from the nearest parent control (see SetRoleAccess())
+     * @param {string} role
+     * @param {string} type - Access type
+     * @returns {string} - 'public', 'none' or undefined if no rule is set
+     */
+    _roleRule(role, type) {
+        let c = this;
+        while (c) {
+            let acl = c._roleAcl[role];
+            if (acl && acl[type]) return acl[type];
+            acl = c._roleAcl["*"];
+            if (acl && acl[type]) return acl[type];
+            c = c._parent;
+        }
+    }
+
+    /**
+     * Emit an 'accessDenied' event for a rejected write
+     * @param {string} property - Property name (or child control name)
+     * @param {string} action - Access type
+     * @param {*} value - Rejected value
+     * @param {Object} options - [Optional] { role } (see Set())
+     */
+    _accessDenied(property, action, value, options = {}) {
+        let path = joinPath(this.GetAbsolutePath(), property);
+        this.Log(
+            `Access denied: ${action} "${path}"${
+                options.role != undefined ? ` (role: ${options.role})` : ""
+            }`,
+            "warn",
+            { property: property, action: action, role: options.role }
+        );
+        this.emit(
+            "accessDenied",
+            {
+                path: path,
+                property: property,
+                action: action,
+                role: options.role,
+                value: value,
+            },
+            "bubble"
+        );
+    }
+
+    /**
+     * Run the passed function as a batch update. Notifications from this control and its child controls are queued while the function runs, and emitted as a single merged 'data' event per affected control when the batch ends. If the function returns a promise, the batch ends when the promise settles. Changes made while the promise is pending can not be told apart from changes made by other code (e.g. timers), so onError: 'rollback' is not supported for functions returning a promise: the batch is ended as with onError: 'flush', and a warning is logged.
+     * @param {function} fn - Function to be executed. The control is passed as the first argument.
+     * @param {Object} options - [Optional] See BeginUpdate()
+     * @returns {*} - The return value of fn
+     */
+    Batch(fn, options) {
+        let result;
+        this.BeginUpdate(options);
+        let level = this._batchLevels[this._batchLevels.length - 1];
+        try {
+            result = fn(this);
+        } catch (err) {
+            this._endUpdate(level, err);
+            throw err;
+        }
+
+        if (result && typeof result.then == "function") {
+            if (level.onError == "rollback") {
+                this.Log(
+                    "Batch(): onError 'rollback' is not supported for functions returning a promise",
+                    "warn"
+                );
+                level.onError = "flush";
+            }
+            return result.then(
+                (r) => {
+                    this._endUpdate(level);
+                    return r;
+                },
+                (err) => {
+                    this._endUpdate(level, err);
+                    throw err;
+                }
+            );
+        }
+
+        this._endUpdate(level);
+        return result;
+    }
+
+    /**
+     * Start a batch update. Notifications from this control and its child controls are queued until the matching EndUpdate() call. Batches may be nested: nested batches (on this control or on any parent / child control) join the outermost batch, and queued notifications are emitted when the outermost batch ends.
+     * @param {Object} options - [Optional] { onError: 'flush'(default)/'rollback' } - onError: Behaviour when the batch is ended with an error. 'flush': Keep all changes and emit the queued notifications; 'rollback': Revert all property changes made since this BeginUpdate() call and discard their queued notifications. Child controls created or removed during the batch are not reverted. Not supported by Batch() for functions returning a promise (see Batch()).
+     */
+    BeginUpdate(options = {}) {
+        let root = this._batchRoot() || this;
+        if (!root._batch) {
+            root._batch = {
+                depth: 0,
+                notifications: [],
+                changes: [],
+                rollingBack: false,
+            };
+        }
+
+        root._batch.depth++;
+        this._batchLevels.push({
+            root: root,
+            notifications: root._batch.notifications.length,
+            changes: root._batch.changes.length,
+            onError: options.onError || "flush",
+        });
+    }
+
+    /**
+     * End a batch update started with BeginUpdate()
+     * @param {Error} error - [Optional] Error that caused the batch to end. Changes are reverted if the batch was started with onError: 'rollback'.
+     */
+    EndUpdate(error) {
+        this._endUpdate(this._batchLevels[this._batchLevels.length - 1], error);
+    }
+
+    /**
+     * End a batch update level. Levels are removed by reference, so that batches of concurrently running asynchronous Batch() calls on the same control do not end each other's levels.
+     * @param {Object} level - Batch level added by BeginUpdate()
+     * @param {Error} error - [Optional] See EndUpdate()
+     */
+    _endUpdate(level, error) {
+        let i = this._batchLevels.lastIndexOf(level);
+        if (!level || i < 0) return;
+        this._batchLevels.splice(i, 1);
+
+        let root = level.root;
+        let b = root._batch;
+
+        if (error != undefined && level.onError == "rollback") {
+            b.rollingBack = true;
+            for (let i = b.changes.length - 1; i >= level.changes; i--) {
+                let c = b.changes[i];
+                c.control._bypassNotify = true;
+                c.control._setProperty(c.property, c.value, false, "rollback");
+            }
+            b.rollingBack = false;
+
+            // Rolled back changes are removed from the undo history
+            let tp = root._topLevelParent;
+            if (tp && tp._undo) {
+                tp._dropUndo(
+                    b.changes
+                        .slice(level.changes)
+                        .map((c) => c.undo)
+                        .filter((u) => u)
+                );
+            }
+            b.changes.length = level.changes;
+            b.notifications.length = level.notifications;
+        }
+
+        b.depth--;
+        if (b.depth > 0) return;
+
+        root._batch = undefined;
+
+        // Hand queued notifications over to a parent control that started batching after this batch was started
+        let outer = root._batchRoot();
+        if (outer) {
+            outer._batch.notifications.push(...b.notifications);
+            outer._batch.changes.push(...b.changes);
+            return;
+        }
+
+        root._flushBatch(b.notifications);
+    }
+
+    /**
+     * Get the outermost control (this control or a parent control) running a batch update
+     * @returns {dm} - batching control, or undefined if no batch is running
+     */
+    _batchRoot() {
+        let root;
+        let c = this;
+        while (c) {
+            if (c._batch) root = c;
+            c = c._parent;
+        }
+        return root;
+    }
+
+    /**
+     * Merge queued notifications and emit a single 'data' event per affected control. A child control created after the removal of a child control with the same name is notified in a separate event, as the merged data would apply the new control's data to the removed control.
+     * @param {Array} notifications - List of queued { control, data, meta } notifications
+     */
+    _flushBatch(notifications) {
+        let segment = [];
+        let removed = new Map(); // Names of removed child controls per parent control in the current segment
+
+        notifications.forEach((n) => {
+            let names = removed.get(n.control) || new Set();
+            let data = n.data && typeof n.data == "object" ? n.data : {};
+            let recreated = Object.keys(data).some(
+                (k) =>
+                    names.has(k) && data[k] && data[k].controlType != undefined
+            );
+
+            if (recreated) {
+                this._emitMerged(segment);
+                segment = [];
+                removed = new Map();
+                names = new Set();
+            }
+
+            Object.keys(data).forEach((k) => {
+                if (data[k] && data[k].remove === true) names.add(k);
+            });
+            if (names.size) removed.set(n.control, names);
+            segment.push(n);
+        });
+
+        this._emitMerged(segment);
+    }
+
+    /**
+     * Merge notifications and emit a single 'data' event per affected control (see _flushBatch())
+     * @param {Array} notifications - List of queued { control, data, meta } notifications
+     */
+    _emitMerged(notifications) {
+        if (!notifications.length) return;
+
+        let merged = new Map();
+
+        notifications.forEach((n) => {
+            let c = n.control;
+            let data = n.data;
+            while (c) {
+                if (!merged.has(c)) merged.set(c, { data: {}, meta: {} });
+                let m = merged.get(c);
+                mergeData(m.data, data);
+                mergeData(m.meta, n.meta);
+
+                if (c == this || c.hideData) break;
+                data = { [c._controlName]: data };
+                c = c._parent;
+            }
+        });
+
+        merged.forEach((m, c) => {
+            if (c == this) {
+                // Notify parent controls of the merged changes
+                this._notify(m.data, m.meta);
+            } else {
+                c.emit("data", m.data, undefined, m.meta);
+            }
+        });
+    }
+
+    /**
+     * Emit a 'validationError' event for a rejected property value
+     * @param {string} property - Property name
+     * @param {*} value - Rejected value
+     * @param {string} reason - Reason for rejecting the value
+     */
+    _validationError(property, value, reason) {
+        let path = joinPath(this.GetAbsolutePath(), property);
+        this.Log(`Rejected value for "${path}": ${reason}`, "warn", {
+            property: property,
+            value: value,
+            reason: reason,
+        });
+        this.emit(
+            "validationError",
+            { path: path, property: property, value: value, reason: reason },
+            "bubble"
+        );
+    }
+
+    /**
+     * Get the list of control names from the top level parent (excluded) to this control (included)
+     * @returns {Array}
+     */
+    _pathNames() {
+        let names = [];
+        let c = this;
+        while (c && c._parent) {
+            names.unshift(c._controlName);
+            c = c._parent;
+        }
+        return names;
+    }
+
+    // notifies parent of data change, and triggers onChange event.
+    _notify(data, meta) {
+        // Queue notifications while a batch update is running
+        let root = this._batchRoot();
+        if (root) {
+            root._batch.notifications.push({
+                control: this,
+                data: data,
+                meta: meta,
+            });
+            return;
+        }
+
+        if (this._parent != undefined) {
+            let n = {
+                [this._controlName]: data,
+            };
+
+            if (!this.hideData) {
+                this._parent._notify(n, meta);
+            }
+        }
+
+        this.emit("data", data, undefined, meta);
+    }
+
+    /**
+     * Return an existing (registered or previously loaded) class from a passed string class name, or try to require the passed name from the top level container's search paths (js file should have the same name). Namespaced class names (e.g. 'lighting.dimmer') are loaded from sub directories (e.g. 'lighting/dimmer.js').
+     * @param {*} name - class name
+     * @returns class
+     */
+    _getDynamicClass(name) {
+        // adapted from https://stackoverflow.com/questions/5646279/get-object-class-from-string-name-in-javascript
+        let tp = this._topLevelParent;
+
+        if (!tp._cls_[name]) {
+            // cache is not ready, fill it up
+            delete tp._clsErrors[name];
+
+            if (!validControlType(name)) {
+                tp._clsErrors[name] = "Invalid controlType";
+                return undefined;
+            }
+
+            let file = name.split(".").join("/");
+            for (let p of tp._paths) {
+                let f = `${p || ""}/${file}`;
+                try {
+                    let c = classFromModule(require(f), name);
+                    if (c) {
+                        tp._cls_[name] = c;
+                    } else {
+                        tp._clsErrors[name] = `"${f}" does not export a class`;
+                    }
+                    break;
+                } catch (err) {
+                    // Try the next search path if the file does not exist in this path
+                    if (
+                        err.code == "MODULE_NOT_FOUND" &&
+                        err.message.includes(`'${f}'`)
+                    ) {
+                        continue;
+                    }
+
+                    if (
+                        err.code == "ERR_REQUIRE_ESM" ||
+                        err.code == "ERR_REQUIRE_ASYNC_MODULE"
+                    ) {
+                        tp._clsErrors[
+                            name
+                        ] = `"${f}" is an ES module. Use SetAsync() to create controls from ES module classes`;
+                    } else {
+                        tp._clsErrors[name] = err.message;
+                    }
+                    break;
+                }
+            }
+
+            if (!tp._cls_[name] && !tp._clsErrors[name]) {
+                let esm = tp._paths.some((p) =>
+                    fs.existsSync(
+                        path.resolve(__dirname, `${p || ""}/${file}.mjs`)
+                    )
+                );
+                tp._clsErrors[name] = esm
+                    ? `"${file}.mjs" is an ES module. Use SetAsync() to create controls from ES module classes`
+                    : "Class file not found";
+            }
+        }
+        return tp._cls_[name];
+    }
+
+    /**
+     * Merge child control data over the data of the template referenced by its 'template' key. Templates may reference other templates. Templates that are not registered are reported through the 'templateNotFound' event on the top level parent and the log.
+     * @param {object} data - Child control data
+     * @param {string} name - Child control name
+     * @returns {object} - Child control data without the 'template' key
+     */
+    _applyTemplate(data, name) {
+        let tp = this._topLevelParent;
+        let used = [];
+
+        while (data.template != undefined) {
+            let template = tp._templates[data.template];
+            let error;
+            if (!template) {
+                error = "Template not registered";
+            } else if (used.includes(data.template)) {
+                error = "Circular template reference";
+            }
+
+            if (error) {
+                let path = joinPath(this.GetAbsolutePath(), name);
+                this.Log(
+                    `Unable to apply template "${data.template}" to "${path}": ${error}`,
+                    "error",
+                    { template: data.template }
+                );
+                tp.emit("templateNotFound", {
+                    path: path,
+                    template: data.template,
+                    error: error,
+                });
+                break;
+            }
+
+            used.push(data.template);
+            let d = cloneData(data);
+            delete d.template;
+            data = mergeData(cloneData(template), d);
+        }
+
+        let result = Object.assign({}, data);
+        delete result.template;
+        return result;
+    }
+
+    /**
+     * Report a control that could not be created because its class could not be found or loaded, through the 'controlTypeNotFound' event on the top level parent and the log
+     * @param {string} name - Control name
+     * @param {string} controlType - Class name
+     */
+    _controlTypeNotFound(name, controlType) {
+        let tp = this._topLevelParent;
+        let path = joinPath(this.GetAbsolutePath(), name);
+        let error = tp._clsErrors[controlType];
+
+        this.Log(
+            `Unable to create "${path}": controlType "${controlType}" not found${
+                error ? ` (${error})` : ""
+            }`,
+            "error",
+            { controlType: controlType }
+        );
+        tp.emit("controlTypeNotFound", {
+            path: path,
+            controlType: controlType,
+            error: error,
+        });
+    }
+
+    /**
+     * Load the classes of all controls (including child controls) in the passed data asynchronously (supporting ES modules, see dmTopLevelContainer.LoadClass()), and set the data through Set().
+     * @param {object} data
+     * @param {Object} options - [Optional] Set() options
+     * @returns {Promise} - Resolves when the data is set and all controls are initialised (see whenReady())
+     */
+    async SetAsync(data, options) {
+        let tp = this._topLevelParent;
+        let types = new Set();
+        let templates = new Set();
+        let collect = (d) => {
+            if (!d || typeof d != "object" || Array.isArray(d)) return;
+            if (typeof d.controlType == "string") types.add(d.controlType);
+
+            // Include control types used in templates
+            let t = tp._templates[d.template];
+            if (t && !templates.has(t)) {
+                templates.add(t);
+                collect(t);
+            }
+
+            Object.values(d).forEach(collect);
+        };
+        collect(data);
+
+        await Promise.all([...types].map((t) => tp.LoadClass(t)));
+
+        this.Set(data, options);
+        await this.whenReady();
+    }
+
+    /**
+     * Create a new control
+     * @param {*} data - control data
+     * @param {*} name - control name
+     * @param {Object} options - [Optional] Set() options passed to the new control
+     * @param {boolean} bypassNotify - [Optional] true: Do not notify the new control's data through the 'data' event (used internally when the control is created through Set())
+     */
+    _createControl(data, name, options, bypassNotify) {
+        let controlClass = this._getDynamicClass(data.controlType);
+
+        if (controlClass) {
+            // Create new control
+            let control = new controlClass();
+            control.controlType = data.controlType;
             control._controlName = name;
             control._parent = this;
             control._path = this._path;
 
-            // Set reference to top level parent
-            control._topLevelParent = this._topLevelParent;
+            // Set reference to top level parent
+            control._topLevelParent = this._topLevelParent;
+
+            // Create getters and setters
+            Object.getOwnPropertyNames(control).forEach((k) => {
+                // Only return settable (not starting with "_") properties excluding special properties
+                if (k[0] != "_" && isTrackedValue(control[k])) {
+                    // Store property value in _properties list
+                    control._properties[k] = cloneData(control[k]);
+
+                    // Create getter and setter
+                    Object.defineProperty(control, k, {
+                        get: function () {
+                            return this._getProperty(k);
+                        },
+                        set: function (val) {
+                            this._setProperty(k, val, true);
+                        },
+                    });
+                }
+            });
+
+            // Add new control to controls list
+            this._controls[name] = control;
+            this._childOrder.push(name);
+
+            // Add a direct reference to the control in this control
+            this[name] = control;
+
+            // Changes made while creating the control are part of the creation undo step
+            let tp = this._topLevelParent;
+            let u = tp._undo;
+            if (u) u.suppress++;
+
+            try {
+                // Set control child data
+                control.Set(data, options);
+
+                // Calculate initial values of computed properties
+                control._computeAll();
+                control._reportComputedWrites(data, options);
+
+                // Initialise control after setting data initial data. Init() may return a promise that is tracked through whenReady().
+                control._initPromise = new Promise((resolve) =>
+                    resolve(control.Init())
+                ).catch((err) => {
+                    control._lifecycleError("initError", err);
+                });
+                control._created = true;
+            } finally {
+                if (u) u.suppress--;
+            }
+
+            if (tp._undo) {
+                tp._recordUndo({
+                    type: "create",
+                    path: this._pathNames(),
+                    name: name,
+                    state: control._snapshot(),
+                });
+            }
+
+            // Notify the new control's data (including controlType). Values equal to the class defaults (e.g. 0 or "") are included, so that remote models receive the control's actual state.
+            if (!bypassNotify && !control.hideData) {
+                this._notify({ [name]: control.Get({ sparse: false }) }, {});
+            }
+
+            // Emit the [controlName] event on this (newly created control's parent)
+            this.emit(name, control);
+
+            // Emit that a new control has been created
+            this.emit("newChildControl", control);
+
+            this._subtreeChanged();
+        } else {
+            this._controlTypeNotFound(name, data.controlType);
+        }
+    }
+
+    /**
+     * Validate, set and notify a property value. Called by the generated property setters and Set().
+     * @param {string} k - Property name
+     * @param {*} val - New value
+     * @param {boolean} setter - [Optional] true: Apply 'setter' access control settings
+     * @param {string} origin - [Optional] Origin of the change, recorded by the change trace (see dmTopLevelContainer.SetTrace()). Defaults to 'setter' when setter is true, else 'Set'.
+     * @param {Object} options - [Optional] Access options passed to the 'setter' access check (see _checkAccess())
+     */
+    _setProperty(k, val, setter, origin, options = {}) {
+        if (setter && !this._checkAccess(k, "setter", options)) {
+            this._bypassNotify = false;
+            this._accessDenied(k, "setter", val);
+            return;
+        }
+
+        // Validate and coerce the value
+        if (this._schema[k]) {
+            let r = validateValue(this._schema[k], val);
+            if (r.error) {
+                this._bypassNotify = false;
+                this._validationError(k, val, r.error);
+                return;
+            }
+            val = r.value;
+        }
+
+        // Computed properties can only be set by _recompute()
+        if (this._computed[k] && !this._computed[k].updating) {
+            this._bypassNotify = false;
+            this.Log(
+                `Unable to set read-only computed property "${k}"`,
+                "warn"
+            );
+            return;
+        }
+
+        // Arrays and objects are copied, so that changes can only be made through the property (and are tracked)
+        if (isContainer(val)) val = cloneData(val);
+
+        // Only notify changes
+        if (
+            isContainer(val) || isContainer(this._properties[k])
+                ? !deepEqual(this._properties[k], val)
+                : this._properties[k] != val
+        ) {
+            let oldValue = this._properties[k];
+            this._recordChange(
+                k,
+                oldValue,
+                val,
+                origin || (setter ? "setter" : "Set")
+            );
+
+            this._properties[k] = val;
+            if (!this._bypassNotify) {
+                this.NotifyProperty(k);
+            } else {
+                this._bypassNotify = false;
+            }
+            this.emit(k, cloneData(val));
+            this._notifyWatchers(k, cloneData(val), oldValue);
+        }
+        this._bypassNotify = false;
+    }
+
+    /**
+     * Record a property change for the change trace, property history, batch rollback and undo
+     * @param {string} k - Property name
+     * @param {*} oldValue
+     * @param {*} newValue
+     * @param {string} origin - Origin of the change
+     */
+    _recordChange(k, oldValue, newValue, origin) {
+        let tp = this._topLevelParent;
+        if (tp && tp._trace) {
+            tp._traceChange(this, k, oldValue, newValue, origin);
+        }
+        if (this._history[k]) this._recordHistory(k, newValue);
+
+        // Computed properties are recalculated when their dependencies are reverted
+        if (this._computed[k]) return;
+
+        // Reverts of a batch rollback are not recorded
+        let root = this._batchRoot();
+        if (root && root._batch.rollingBack) return;
+
+        let undo;
+        if (tp && tp._undo) {
+            undo = {
+                type: "property",
+                path: this._pathNames(),
+                property: k,
+                oldValue: oldValue,
+                newValue: cloneData(newValue),
+            };
+            tp._recordUndo(undo);
+        }
+
+        if (root) {
+            root._batch.changes.push({
+                control: this,
+                property: k,
+                value: oldValue,
+                undo: undo,
+            });
+        }
+    }
+
+    /**
+     * Get a property value, applying 'getter' access control settings. Called by the generated property getters and _private.
+     * @param {string} k - Property name
+     * @param {Object} options - [Optional] Access options passed to the 'getter' access check (see _checkAccess()). In-place changes through the returned value are checked with the control's own access if the options grant it.
+     * @returns {*}
+     */
+    _getProperty(k, options = {}) {
+        if (this._checkAccess(k, "getter", options)) {
+            let v = this._properties[k];
+            // Track in-place changes to arrays and objects
+            return isContainer(v)
+                ? this._proxy(k, v, [], false, options[privateAccess] === this)
+                : v;
+        }
+    }
+
+    /**
+     * Accessor for use in the control's own methods, with the control's own ('private') access (see SetAccess()): properties with 'private' setter / getter access (e.g. this._private.code = '1234'), and Set(), Get(), GetPath(), Find(), GetHistory() and Call() with 'private' Set / Get / Call access (e.g. this._private.Set({ code: '1234' })). Unlike the property getters and setters, access through this accessor does not depend on where it is used (e.g. after an await in an async method). Other names are passed to the control.
+     * @type {Proxy}
+     */
+    get _private() {
+        if (!this._privateAccessor) {
+            let control = this;
+            let own = { [privateAccess]: control };
+            let isProperty = (k) =>
+                typeof k == "string" &&
+                Object.prototype.hasOwnProperty.call(control._properties, k);
+
+            this._privateAccessor = new Proxy(
+                {},
+                {
+                    get(t, k) {
+                        if (isProperty(k)) return control._getProperty(k, own);
+
+                        let m = privateMethods[k];
+                        if (
+                            m &&
+                            Object.prototype.hasOwnProperty.call(
+                                privateMethods,
+                                k
+                            )
+                        ) {
+                            return (...args) => {
+                                // A path string can be passed to Get() instead of options
+                                if (k == "Get" && typeof args[0] == "string") {
+                                    return control.GetPath(
+                                        args[0],
+                                        Object.assign({ sparse: true }, own)
+                                    );
+                                }
+                                args[m.index] = Object.assign(
+                                    {},
+                                    args[m.index] == undefined
+                                        ? m.defaults
+                                        : args[m.index],
+                                    own
+                                );
+                                return control[k](...args);
+                            };
+                        }
+
+                        let v = control[k];
+                        return typeof v == "function" ? v.bind(control) : v;
+                    },
+                    set(t, k, value) {
+                        if (isProperty(k)) {
+                            control._setProperty(
+                                k,
+                                value,
+                                true,
+                                undefined,
+                                own
+                            );
+                        } else {
+                            control[k] = value;
+                        }
+                        return true;
+                    },
+                    has(t, k) {
+                        return k in control;
+                    },
+                }
+            );
+        }
+        return this._privateAccessor;
+    }
+
+    /**
+     * Get a proxy for an array or object (nested in) a property value, which tracks in-place changes (e.g. push(), splice() or nested key assignment)
+     * @param {string} k - Property name
+     * @param {*} target - Array or object
+     * @param {Array} path - Path of the target within the property value. Changes within arrays are notified as changes to the (outermost) array.
+     * @param {boolean} inArray - [Optional] true if the target is nested in an array
+     * @param {boolean} own - [Optional] true: Check in-place changes with the control's own ('private') access (see _private)
+     * @returns {Proxy}
+     */
+    _proxy(k, target, path, inArray, own) {
+        let cache = own ? this._privateProxies : this._proxies;
+        let options = own ? { [privateAccess]: this } : {};
+        if (cache.has(target)) return cache.get(target);
+
+        let control = this;
+        let isArray = Array.isArray(target);
+        let fixed = inArray || isArray; // Notify changes at the outermost array's path
+        let keyPath = (key) => (fixed ? path : [...path, key]);
+        let proxy = new Proxy(target, {
+            get(t, key) {
+                let v = t[key];
+
+                // Apply array mutator methods as a single change
+                if (
+                    isArray &&
+                    typeof v == "function" &&
+                    arrayMutators.includes(key)
+                ) {
+                    return function (...args) {
+                        let r;
+                        control._deepChange(
+                            k,
+                            path,
+                            () => {
+                                r = v.apply(t, args.map(cloneData));
+                            },
+                            options
+                        );
+                        return r;
+                    };
+                }
+
+                if (isContainer(v) && typeof key == "string") {
+                    return control._proxy(k, v, keyPath(key), fixed, own);
+                }
+                return v;
+            },
+            set(t, key, value) {
+                control._deepChange(
+                    k,
+                    keyPath(key),
+                    () => {
+                        t[key] = cloneData(value);
+                    },
+                    options
+                );
+                return true;
+            },
+            deleteProperty(t, key) {
+                control._deepChange(
+                    k,
+                    keyPath(key),
+                    () => {
+                        delete t[key];
+                    },
+                    options
+                );
+                return true;
+            },
+        });
+
+        cache.set(target, proxy);
+        return proxy;
+    }
+
+    /**
+     * Apply an in-place change to an array or object property value, and notify the changed part of the value
+     * @param {string} k - Property name
+     * @param {Array} path - Path of the changed value within the property value
+     * @param {function} mutate - Function applying the change
+     * @param {Object} options - [Optional] Access options passed to the 'setter' access check (see _checkAccess())
+     */
+    _deepChange(k, path, mutate, options = {}) {
+        if (!this._checkAccess(k, "setter", options)) {
+            this._accessDenied(k, "setter");
+            return;
+        }
+        if (this._computed[k]) {
+            this.Log(
+                `Unable to change read-only computed property "${k}"`,
+                "warn"
+            );
+            return;
+        }
+
+        let raw = this._properties[k];
+        let oldValue = cloneData(raw);
+
+        mutate();
+
+        if (deepEqual(oldValue, raw)) return;
+
+        // Validate the changed value, and revert the change if invalid
+        if (this._schema[k]) {
+            let r = validateValue(this._schema[k], cloneData(raw));
+            if (r.error) {
+                replaceData(raw, oldValue);
+                this._validationError(k, cloneData(raw), r.error);
+                return;
+            }
+        }
+
+        this._recordChange(k, oldValue, raw, "setter");
+
+        // Notify the changed value (deleted object keys are notified as null). The full value is notified when a notification policy is set.
+        if (this._notifyPolicy[k]) {
+            this.NotifyProperty(k);
+        } else if (this._checkAccess(k, "Get")) {
+            let v = raw;
+            for (let i = 0; i < path.length && v != undefined; i++) {
+                v = v[path[i]];
+            }
+            let data = v === undefined ? null : cloneData(v);
+            for (let i = path.length - 1; i >= 0; i--) {
+                data = { [path[i]]: data };
+            }
+            this._notify({ [k]: data }, { [k]: this._meta[k] });
+        }
+
+        this.emit(k, cloneData(raw));
+        this._notifyWatchers(k, cloneData(raw), oldValue);
+    }
+
+    /**
+     * Set an access control list for a property. Only applies to properties with automatically generated getters and setters (number, string, bool, Array and plain object types not prefixed with '_')
+     * @param {*} propertyName - Property name
+     * @param {*} ACL - Access control list { Set: 'public'(default)/'private'/'none', Get: 'public'(default)/'private'/'none', setter: 'public'(default)/'private'/'none', getter: 'public'(default)/'private'/'none', Call: 'public'(default)/'private'/'none' } where 'Set' refers to data set through control.Set(), 'Get' refers to data retreived through control.Get() or through automatic notification, 'setter' refers to setting the property through control.property = value and 'getter' refers to getting the property value through value = control.property and 'Call' refers to invoking a command (see SetCommand()) through Call() or Set(). 'private' = only accessible by the control itself through its _private accessor in the control's own methods (e.g. this._private.Set(data), this._private.Get() or this._private.code = '1234'). 'private' access can not be granted through Set() / Get() options, so it can not be claimed by other code or remote requests, 'public' = accessible by any other controls / external code, none = not accessible at all.
+     */
+    SetAccess(propertyName, ACL) {
+        if (this._hasProperty(propertyName) || this._commands[propertyName]) {
+            this._acl[propertyName] = ACL;
+        }
+    }
+
+    /**
+     * Declare a command method that can be invoked by path through Call(), or through the 'command' key in Set() data (e.g. Set({ room1: { command: { name: 'reset', args: [0], id: 1 } } })). Access to the command can be limited with SetAccess(commandName, { Call: 'public'/'private'/'none' }) and with role based access rules (see SetRoleAccess()).
+     * @param {string} commandName - Command name. Defaults to calling the control's method with the same name.
+     * @param {Object} options - [Optional] { args, handler } - args: List of argument schemas (see SetSchema()), used to validate and coerce the arguments. Arguments that are not passed are only validated if required is set in the schema; handler: Command method (default: the control's method with the command name). The method is called with the control as 'this', and may return a promise.
+     */
+    SetCommand(commandName, options = {}) {
+        if (typeof (options.handler || this[commandName]) != "function") {
+            throw new Error(`No method found for command "${commandName}"`);
+        }
+        this._commands[commandName] = {
+            args: options.args || [],
+            handler: options.handler,
+        };
+    }
+
+    /**
+     * Set role based access rules for this control and all child controls. Rules set on child controls override inherited rules. Role based access rules are applied to Set() and Get() calls passing a role in the options (e.g. control.Set(data, { role: 'operator' })), in addition to the property access control lists set with SetAccess().
+     * @param {string} role - Role name, or '*' for all roles without a specific rule
+     * @param {Object} ACL - Access control list { Set: 'public'/'none', Get: 'public'/'none', Call: 'public'/'none' } - Set: Setting properties, creating and removing child controls through Set(); Get: Getting properties through Get(); Call: Invoking commands through Call() or Set()
+     */
+    SetRoleAccess(role, ACL) {
+        this._roleAcl[role] = ACL;
+    }
+
+    /**
+     * Check if a property exists and can be equipped (or is equipped) with a getter and setter
+     * @param {string} propertyName - Property name
+     * @returns {boolean}
+     */
+    _hasProperty(propertyName) {
+        return (
+            Object.prototype.hasOwnProperty.call(
+                this._properties,
+                propertyName
+            ) || this[propertyName] != undefined
+        );
+    }
+
+    /**
+     * Set a validation schema for a property. Values set through Set() and through the property setter are validated against the schema, and coerced to the schema type where this can be done safely (e.g. "5" to 5 for number properties). Rejected values are not set, and a 'validationError' event is emitted on the control and all its parent controls with { path, property, value, reason }.
+     * @param {*} propertyName - Property name
+     * @param {Object} schema - { type, min, max, enum, pattern, items, required } - type: 'number'/'string'/'boolean'/'array' (defaults to the type of the property's initial value); min / max: Minimum / maximum value (numbers) or length (strings and arrays); enum: Array of allowed values; pattern: Regular expression (or regular expression string) that string values must match; items: Schema for array items; required: When true, rejects empty values ("" and empty arrays).
+     */
+    SetSchema(propertyName, schema) {
+        if (this._hasProperty(propertyName)) {
+            if (!schema.type) {
+                schema = Object.assign({}, schema, {
+                    type: valueType(
+                        Object.prototype.hasOwnProperty.call(
+                            this._properties,
+                            propertyName
+                        )
+                            ? this._properties[propertyName]
+                            : this[propertyName]
+                    ),
+                });
+            }
+            this._schema[propertyName] = schema;
+        }
+    }
+
+    /**
+     * Make a property a computed (read-only) property. The property value is recalculated by the compute function when the control is created, when any of the dependencies change, and when child controls matching a child control dependency are created or removed. Computed properties are included in Get() and 'data' notifications like other properties, but can not be set through Set() or the property setter.
+     * @param {*} propertyName - Property name. The property should be initialised with a value of the computed type.
+     * @param {Array} dependencies - List of dependency paths relative to this control. Dependencies can be own properties (e.g. 'doors'), child control properties (e.g. 'room1/windows'), or path patterns with wildcards (e.g. '*\/windows', see watch()).
+     * @param {function} compute - Function returning the property value. The function is called with 'this' set to the control.
+     */
+    SetComputed(propertyName, dependencies, compute) {
+        if (!this._hasProperty(propertyName)) return;
+
+        // Detect cycles between computed properties of this control
+        let visit = (p, chain) => {
+            if (chain.includes(p)) {
+                throw new Error(
+                    `Computed property dependency cycle: ${[...chain, p].join(
+                        " -> "
+                    )}`
+                );
+            }
+            if (this._computed[p]) {
+                this._computed[p].dependencies.forEach((d) => {
+                    visit(d, [...chain, p]);
+                });
+            }
+        };
+        this._computed[propertyName] = {
+            dependencies: dependencies,
+            compute: compute,
+            updating: false,
+        };
+        try {
+            visit(propertyName, []);
+        } catch (err) {
+            delete this._computed[propertyName];
+            throw err;
+        }
+
+        dependencies.forEach((d) => {
+            this.watch(d, () => {
+                this._recompute(propertyName);
+            });
+        });
+    }
+
+    /**
+     * Include or exclude a property from persisted snapshots (see dmTopLevelContainer.SetPersistence()). By default, properties accessible through Get() are persisted and properties with Get access set to anything other than 'public' are not.
+     * @param {*} propertyName - Property name
+     * @param {boolean} include - true: Always persist the property (also if not accessible through Get()); false: Never persist the property
+     */
+    SetPersist(propertyName, include) {
+        if (this._hasProperty(propertyName)) {
+            this._persist[propertyName] = include;
+        }
+    }
+
+    /**
+     * Set a list of meta data properties. This metadata will be sent with the 'data' event.
+     * @param {*} propertyName - Property name
+     * @param {*} META - Meta data to be set, this can be any object structure, the way the you want to receive the data with the data event
+     */
+    SetMeta(propertyName, META) {
+        if (this._hasProperty(propertyName)) {
+            this._meta[propertyName] = META;
+        }
+    }
+
+    /**
+     * Set a notification policy to limit the rate of 'data' event notifications of a property, e.g. for properties changing at a high frequency. The property value (read through the getter or Get()) and the property change event are always updated immediately. Notifications held back by the policy are sent when the policy allows it, or when Flush() is called. Changes made through Set() are not notified.
+     * @param {*} propertyName - Property name
+     * @param {Object} policy - { throttle, debounce, delta } - throttle: Notify at most once per [throttle] ms (the last value is notified when the throttle time expires); debounce: Only notify after no changes were made for [debounce] ms; delta: Only notify numeric changes of at least [delta] relative to the last notified value (smaller changes are held back until Flush()). Pass undefined to remove the policy (held back notifications are sent).
+     */
+    SetNotifyPolicy(propertyName, policy) {
+        if (this._hasProperty(propertyName)) {
+            if (this._notifyPolicy[propertyName]) {
+                this._flushNotifyPolicy(propertyName);
+                delete this._notifyPolicy[propertyName];
+            }
+
+            if (!policy) return;
+
+            ["throttle", "debounce", "delta"].forEach((p) => {
+                if (
+                    policy[p] != undefined &&
+                    !(typeof policy[p] == "number" && policy[p] >= 0)
+                ) {
+                    throw new Error(
+                        `Invalid notification policy ${p} for "${propertyName}"`
+                    );
+                }
+            });
+
+            this._notifyPolicy[propertyName] = {
+                throttle: policy.throttle,
+                debounce: policy.debounce,
+                delta: policy.delta,
+                // Policies are usually set in the constructor, before the property value is stored in _properties
+                lastValue: cloneData(
+                    Object.prototype.hasOwnProperty.call(
+                        this._properties,
+                        propertyName
+                    )
+                        ? this._properties[propertyName]
+                        : this[propertyName]
+                ),
+                lastTime: -Infinity,
+                timer: undefined,
+                pending: false,
+                flushing: false,
+            };
+        }
+    }
+
+    /**
+     * Keep a history of the values of a property. Every value change is recorded with its time in a ring buffer, and emitted through the 'history' event ({ path, property, time, value }, bubbled up to the top level parent) when the property can be read through Get(). The history can be read with GetHistory(), or included in Get() results with Get({ history: true }).
+     * @param {*} propertyName - Property name
+     * @param {Object} options - { size: [number] } - size: Maximum number of values to keep (default: 100). Pass true to use the default options, or undefined to disable and clear the history.
+     */
+    SetHistory(propertyName, options) {
+        if (this._hasProperty(propertyName)) {
+            if (!options) {
+                delete this._history[propertyName];
+                return;
+            }
+
+            this._history[propertyName] = {
+                size: options.size != undefined ? options.size : 100,
+                entries: [],
+            };
+
+            // Record the current value
+            if (
+                Object.prototype.hasOwnProperty.call(
+                    this._properties,
+                    propertyName
+                )
+            ) {
+                this._recordHistory(
+                    propertyName,
+                    this._properties[propertyName]
+                );
+            }
+        }
+    }
+
+    /**
+     * Get the recorded history of a property (see SetHistory())
+     * @param {*} propertyName - Property name
+     * @param {Object} options - [Optional] { since, limit, window, aggregate, role } - since: Only return values recorded at or after the passed time (ms since epoch); limit: Maximum number of (most recent) values to return; window: Aggregate the values per time window of the passed number of milliseconds, returning { time, count, min, max, avg, last } per window (min, max and avg are only calculated for numbers); aggregate: 'min', 'max', 'avg', 'last' or 'count': Return only the passed aggregate per window as { time, value }; role: see Get()
+     * @returns {Array} - List of { time, value } (oldest first), or undefined if the property has no history or can not be read through Get()
+     */
+    GetHistory(propertyName, options = {}) {
+        let h = this._history[propertyName];
+        if (!h || !this._checkAccess(propertyName, "Get", options)) return;
+
+        let entries = h.entries.filter(
+            (e) => options.since == undefined || e.time >= options.since
+        );
+
+        entries = options.window
+            ? aggregateHistory(entries, options.window, options.aggregate)
+            : entries.map((e) => ({ time: e.time, value: cloneData(e.value) }));
+
+        if (options.limit != undefined) {
+            entries = options.limit > 0 ? entries.slice(-options.limit) : [];
+        }
+
+        return entries;
+    }
+
+    /**
+     * Record a property value in the property history
+     * @param {string} k - Property name
+     * @param {*} value
+     */
+    _recordHistory(k, value) {
+        let h = this._history[k];
+        let entry = { time: Date.now(), value: cloneData(value) };
+
+        h.entries.push(entry);
+        if (h.entries.length > h.size) h.entries.shift();
+
+        if (this._checkAccess(k, "Get")) {
+            this.emit(
+                "history",
+                {
+                    path: joinPath(this.GetAbsolutePath(), k),
+                    property: k,
+                    time: entry.time,
+                    value: cloneData(value),
+                },
+                "bubble"
+            );
+        }
+    }
+}
+
+/**
+ * Top level container for moduler-dm controls
+ */
+class dmTopLevelContainer extends dm {
+    /**
+     * Top level container for moduler-dm controls
+     * @param {string|Array} path - path (or list of paths) to modular-dm control class files. This should be the absolute path to the control files directory or the relative path from the directory where modular-dm is installed. Paths are searched in the given order.
+     */
+    constructor(path) {
+        super();
+        this._path = Array.isArray(path) ? path[0] : path;
+        this._controlName = "topLevelContainer";
+        this._topLevelParent = this;
+        this._created = true;
+
+        // dynamically loaded class cache
+        this._cls_ = {};
+
+        // control class search paths
+        this._paths = Array.isArray(path) ? [...path] : [path];
+
+        // class loading errors, reported through the 'controlTypeNotFound' event
+        this._clsErrors = {};
+
+        // persistence settings (see SetPersistence())
+        this._persistence = undefined;
+
+        // undo / redo history (see SetUndo())
+        this._undo = undefined;
+
+        // control templates (see RegisterTemplate())
+        this._templates = {};
+
+        // change trace (see SetTrace())
+        this._trace = undefined;
+
+        // structured log sinks (see AddLogSink())
+        this._logSinks = [];
+    }
+
+    /**
+     * Add a log sink receiving structured log entries from all controls (see logging.js)
+     * @param {dmLogSink} sink - Log sink implementing write(entry), e.g. dmConsoleLogSink, dmFileLogSink or dmMemoryLogSink. Entries below the sink's level property are not written to the sink.
+     * @returns {dmLogSink} - The added sink
+     */
+    AddLogSink(sink) {
+        if (!sink || typeof sink.write != "function") {
+            throw new Error("Invalid log sink");
+        }
+        if (!this._logSinks.includes(sink)) this._logSinks.push(sink);
+        return sink;
+    }
+
+    /**
+     * Remove a log sink added with AddLogSink()
+     * @param {dmLogSink} sink
+     */
+    RemoveLogSink(sink) {
+        this._logSinks = this._logSinks.filter((s) => s != sink);
+    }
+
+    /**
+     * Enable or disable the change trace. When enabled, every property change in the control tree is recorded with its origin: 'setter' (property setters and in-place changes), 'Set' (Set()), 'remote' (changes applied by dmSyncApplier), 'computed', 'undo', 'redo' or 'rollback' (batch rollback). The origin of changes made through Set() can be passed with the Set() 'origin' option.
+     * @param {Object} options - { limit: [number], log: true(default)/false } - limit: Maximum number of recorded changes to keep (default: 1000); log: Log every change through the 'log' event. Pass undefined to disable and clear the change trace.
+     */
+    SetTrace(options) {
+        if (!options) {
+            this._trace = undefined;
+            return;
+        }
+
+        this._trace = {
+            limit: options.limit != undefined ? options.limit : 1000,
+            log: options.log !== false,
+            entries: this._trace ? this._trace.entries : [],
+        };
+        this._trace.entries.splice(
+            0,
+            Math.max(0, this._trace.entries.length - this._trace.limit)
+        );
+    }
+
+    /**
+     * Get the changes recorded by the change trace
+     * @param {Object} options - [Optional] { since: [timestamp], path: [path pattern] } - since: Only return changes recorded at or after the passed time (ms since epoch); path: Only return changes of properties matching the passed path pattern (e.g. '*\/room*\/doors')
+     * @returns {Array} - List of { time, path, property, value, oldValue, origin }
+     */
+    GetTrace(options = {}) {
+        if (!this._trace) return [];
+
+        let segments =
+            options.path != undefined
+                ? splitPath(options.path).map((p) =>
+                      p == "**" ? p : globToRegExp(p)
+                  )
+                : undefined;
+
+        return this._trace.entries
+            .filter(
+                (e) =>
+                    (options.since == undefined || e.time >= options.since) &&
+                    (!segments ||
+                        matchPath(
+                            segments,
+                            splitPath(joinPath(e.path, e.property))
+                        ))
+            )
+            .map((e) => Object.assign({}, e));
+    }
+
+    /**
+     * Record a property change in the change trace
+     * @param {dm} control - Changed control
+     * @param {string} property - Property name
+     * @param {*} oldValue
+     * @param {*} newValue
+     * @param {string} origin - Origin of the change
+     */
+    _traceChange(control, property, oldValue, newValue, origin) {
+        let t = this._trace;
+        let entry = {
+            time: Date.now(),
+            path: control.GetAbsolutePath(),
+            property: property,
+            value: cloneData(newValue),
+            oldValue: cloneData(oldValue),
+            origin: origin,
+        };
+
+        t.entries.push(entry);
+        if (t.entries.length > t.limit) t.entries.shift();
+
+        if (t.log) {
+            control.Log(formatTraceEntry(entry), "debug", {
+                property: property,
+                origin: origin,
+            });
+        }
+    }
+
+    /**
+     * Enable or disable undo / redo history. Changes to properties (through setters and Set()), creation of child controls and removal of child controls are recorded. All changes made by a single Set() call are recorded as a single undo step.
+     * @param {Object} options - { depth: [number] } - depth: Maximum number of undo steps to keep (default: 100). Pass undefined to disable and clear the undo / redo history.
+     */
+    SetUndo(options) {
+        if (!options) {
+            this._undo = undefined;
+            return;
+        }
+
+        let depth = options.depth != undefined ? options.depth : 100;
+        if (this._undo) {
+            this._undo.depth = depth;
+            this._trimUndo();
+            return;
+        }
+
+        this._undo = {
+            depth: depth,
+            undo: [], // list of undo steps (each step is a list of changes)
+            redo: [],
+            group: undefined, // changes recorded in the current undo group
+            groupDepth: 0,
+            suppress: 0, // suppress recording while > 0
+        };
+    }
+
+    /**
+     * Start an undo group. All changes until the matching EndUndoGroup() call are recorded as a single undo step. Undo groups may be nested.
+     */
+    BeginUndoGroup() {
+        if (!this._undo) return;
+        if (this._undo.groupDepth == 0) this._undo.group = [];
+        this._undo.groupDepth++;
+    }
+
+    /**
+     * End an undo group started with BeginUndoGroup()
+     */
+    EndUndoGroup() {
+        let u = this._undo;
+        if (!u || u.groupDepth == 0) return;
+
+        u.groupDepth--;
+        if (u.groupDepth == 0) {
+            let group = u.group;
+            u.group = undefined;
+            if (group.length) this._pushUndo(group);
+        }
+    }
+
+    /**
+     * Undo the last recorded undo step
+     * @returns {boolean} - true if a step was undone
+     */
+    Undo() {
+        let u = this._undo;
+        if (!u || !u.undo.length) return false;
+
+        let step = u.undo.pop();
+        this._applyUndo(step, true);
+        u.redo.push(step);
+        return true;
+    }
+
+    /**
+     * Redo the last undone undo step
+     * @returns {boolean} - true if a step was redone
+     */
+    Redo() {
+        let u = this._undo;
+        if (!u || !u.redo.length) return false;
+
+        let step = u.redo.pop();
+        this._applyUndo(step, false);
+        u.undo.push(step);
+        this._trimUndo();
+        return true;
+    }
+
+    /**
+     * Record a change in the undo history
+     * @param {Object} change - { type: 'property'/'create'/'remove'/'move'/'order', path: [control names], ... }
+     */
+    _recordUndo(change) {
+        let u = this._undo;
+        if (!u || u.suppress > 0) return;
+
+        if (u.group) {
+            u.group.push(change);
+        } else {
+            this._pushUndo([change]);
+        }
+    }
+
+    /**
+     * Add an undo step to the undo history, and clear the redo history
+     * @param {Array} step - list of changes
+     */
+    _pushUndo(step) {
+        this._undo.undo.push(step);
+        this._undo.redo = [];
+        this._trimUndo();
+    }
+
+    /**
+     * Remove recorded changes from the undo history (e.g. changes reverted by a batch rollback). Undo steps left without changes are removed.
+     * @param {Array} changes - list of changes passed to _recordUndo()
+     */
+    _dropUndo(changes) {
+        let u = this._undo;
+        if (!changes.length) return;
+
+        if (u.group) {
+            u.group = u.group.filter((c) => !changes.includes(c));
+        }
+        u.undo = u.undo
+            .map((step) => step.filter((c) => !changes.includes(c)))
+            .filter((step) => step.length);
+    }
+
+    // Limit the undo history to the configured depth
+    _trimUndo() {
+        let u = this._undo;
+        while (u.undo.length > u.depth) {
+            u.undo.shift();
+        }
+    }
+
+    /**
+     * Apply an undo step
+     * @param {Array} step - list of changes
+     * @param {boolean} undo - true: Revert the changes; false: Reapply the changes
+     */
+    _applyUndo(step, undo) {
+        let u = this._undo;
+        let changes = undo ? [...step].reverse() : step;
+
+        u.suppress++;
+        try {
+            changes.forEach((change) => {
+                if (change.type == "move") {
+                    let from = this._resolvePathNames(
+                        undo ? change.toPath : change.path
+                    );
+                    let to = this._resolvePathNames(
+                        undo ? change.path : change.toPath
+                    );
+                    let c =
+                        from &&
+                        from._controls[undo ? change.toName : change.name];
+                    if (c && to) {
+                        c.Move(to, undo ? change.name : change.toName);
+                        // Restore the previous position
+                        if (undo) to.MoveChild(change.name, change.index);
+                    }
+                    return;
+                }
+
+                let c = this._resolvePathNames(change.path);
+                if (!c) return;
+
+                if (change.type == "property") {
+                    c._setProperty(
+                        change.property,
+                        undo ? change.oldValue : change.newValue,
+                        false,
+                        undo ? "undo" : "redo"
+                    );
+                } else if (change.type == "order") {
+                    c._setChildOrder(undo ? change.oldValue : change.newValue);
+                } else if (
+                    (change.type == "create" && undo) ||
+                    (change.type == "remove" && !undo)
+                ) {
+                    c.RemoveChild(change.name);
+                } else if (!c._controls[change.name]) {
+                    c._createControl(change.state, change.name, {
+                        acl: false,
+                    });
+                    // Restore the position of a removed control
+                    if (change.type == "remove") {
+                        c.MoveChild(change.name, change.index);
+                    }
+                }
+            });
+        } finally {
+            u.suppress--;
+        }
+    }
+
+    /**
+     * Find a control from a list of control names
+     * @param {Array} names - list of control names from the top level parent
+     * @returns {dm} - control, or undefined if not found
+     */
+    _resolvePathNames(names) {
+        let c = this;
+        for (let i = 0; i < names.length && c; i++) {
+            c = c._controls[names[i]];
+        }
+        return c;
+    }
+
+    /**
+     * Register a control class. Registered classes are used instead of loading class files from the search paths.
+     * @param {string} name - controlType name. Namespaced names (e.g. 'lighting.dimmer') may be used.
+     * @param {class} controlClass - Class extending dm
+     */
+    Register(name, controlClass) {
+        if (!validControlType(name)) {
+            throw new Error(`Invalid controlType "${name}"`);
+        }
+        if (typeof controlClass != "function") {
+            throw new Error(`Invalid class passed for controlType "${name}"`);
+        }
+        this._cls_[name] = controlClass;
+        delete this._clsErrors[name];
+    }
+
+    /**
+     * Register a control template. Child controls created through Set() with a 'template' key (e.g. Set({ room3: { template: 'standardRoom', doors: 3 } })) are created from the template data, merged with the passed data. Templates may include child controls, and may themselves reference another template through a 'template' key.
+     * @param {string} name - Template name
+     * @param {object} data - Template data, usually including the controlType
+     */
+    RegisterTemplate(name, data) {
+        if (typeof name != "string" || !name) {
+            throw new Error(`Invalid template name "${name}"`);
+        }
+        if (!isPlainObject(data)) {
+            throw new Error(`Invalid data passed for template "${name}"`);
+        }
+        this._templates[name] = cloneData(data);
+    }
+
+    /**
+     * Add a path to the list of control class search paths
+     * @param {string} path - Absolute path to a control files directory, or the relative path from the directory where modular-dm is installed
+     */
+    AddPath(path) {
+        if (this._paths.length == 1 && this._paths[0] == undefined) {
+            this._paths = [path];
+            this._path = path;
+        } else {
+            this._paths.push(path);
+        }
+    }
+
+    /**
+     * Load a control class asynchronously. Class files are loaded through dynamic import(), so that both CommonJS and ES module class files (.js, .mjs and .cjs) are supported. Loaded classes are cached and used by Set().
+     * @param {string} name - controlType name
+     * @returns {Promise<class>} - Resolves to the class, or undefined if the class could not be loaded (the reason is reported when a control of this type is created)
+     */
+    async LoadClass(name) {
+        if (this._cls_[name]) return this._cls_[name];
+        delete this._clsErrors[name];
+
+        if (!validControlType(name)) {
+            this._clsErrors[name] = "Invalid controlType";
+            return undefined;
+        }
+
+        let file = name.split(".").join("/");
+        for (let p of this._paths) {
+            let base = path.resolve(__dirname, `${p || ""}/${file}`);
+            for (let ext of ["", ".js", ".mjs", ".cjs"]) {
+                let f = base + ext;
+                let stat = await fs.promises.stat(f).catch(() => undefined);
+                if (!stat || !stat.isFile()) continue;
+
+                try {
+                    let c = classFromModule(
+                        await import(pathToFileURL(f).href),
+                        name
+                    );
+                    if (c) {
+                        this._cls_[name] = c;
+                    } else {
+                        this._clsErrors[
+                            name
+                        ] = `"${f}" does not export a class`;
+                    }
+                } catch (err) {
+                    this._clsErrors[name] = err.message;
+                }
+                return this._cls_[name];
+            }
+        }
+
+        this._clsErrors[name] = "Class file not found";
+        return undefined;
+    }
+
+    /**
+     * Configure persistence of the control tree. Snapshots include the controlType of every child control, all properties accessible through Get() and properties explicitly included with SetPersist().
+     * @param {Object} options - { storage: [storage adapter], file: [path], debounce: [ms] } - storage: Storage adapter implementing read() and write() (see storage.js); file: Path to a snapshot file (shorthand for storage: new dmFileStorage(file)); debounce: When set, automatically saves a snapshot [debounce] milliseconds after the last 'data' notification. Pass undefined to disable persistence.
+     */
+    SetPersistence(options) {
+        // Remove previous configuration
+        if (this._persistence) {
+            clearTimeout(this._persistence.timer);
+            this.off("data", this._persistence.listener);
+            this._persistence = undefined;
+        }
+
+        if (!options) return;
+
+        let storage = options.storage;
+        if (!storage && options.file) {
+            storage = new dmFileStorage(options.file);
+        }
+        if (!storage) {
+            throw new Error(
+                "No storage adapter or file passed to SetPersistence()"
+            );
+        }
+
+        let p = {
+            storage: storage,
+            debounce: options.debounce,
+            timer: undefined,
+            pending: undefined,
+            last: Promise.resolve(),
+            listener: undefined,
+        };
+        this._persistence = p;
+
+        // Automatically save after changes
+        if (p.debounce != undefined) {
+            p.listener = this.on("data", () => {
+                clearTimeout(p.timer);
+                p.timer = setTimeout(() => {
+                    p.timer = undefined;
+                    this.Save().catch(() => {});
+                }, p.debounce);
+            });
+        }
+    }
+
+    /**
+     * Save a snapshot of the control tree to the configured storage. Saves are queued, so that only one write is in progress at any time.
+     * @returns {Promise} - Resolves when the snapshot has been written
+     */
+    Save() {
+        let p = this._persistence;
+        if (!p) {
+            return Promise.reject(new Error("Persistence is not configured"));
+        }
+
+        clearTimeout(p.timer);
+        p.timer = undefined;
+
+        // Coalesce with a save that has not started yet
+        if (!p.pending) {
+            p.pending = p.last.then(() => {
+                p.pending = undefined;
+                let data = this._snapshot(persistFilter);
+                return p.storage.write(
+                    JSON.stringify({ version: 1, data: data })
+                );
+            });
+            p.pending = p.pending.catch((err) => {
+                this.Log(`Unable to save snapshot: ${err.message}`, "error");
+                this.emit("persistenceError", err);
+                throw err;
+            });
+            p.last = p.pending.catch(() => {});
+        }
+
+        return p.pending;
+    }
+
+    /**
+     * Restore the control tree from the configured storage through Set(). Property access control lists are not applied, so that properties included with SetPersist() are restored regardless of their Set access.
+     * @returns {Promise<boolean>} - Resolves to true if a snapshot was restored, or false if no snapshot was stored
+     */
+    async Restore() {
+        let p = this._persistence;
+        if (!p) {
+            throw new Error("Persistence is not configured");
+        }
+
+        let raw = await p.storage.read();
+        if (raw == undefined || raw == "") return false;
+
+        let snapshot = JSON.parse(raw);
+        if (!snapshot || typeof snapshot.data != "object") {
+            throw new Error("Invalid snapshot");
+        }
+
+        this.Set(snapshot.data, { acl: false });
+        return true;
+    }
+}
+
+/**
+ * Check if a controlType name is valid: a single word, or namespaced words separated by dots (e.g. 'lighting.dimmer')
+ * @param {string} name
+ * @returns {boolean}
+ */
+function validControlType(name) {
+    return (
+        typeof name == "string" &&
+        /^[a-zA-Z0-9_]+(\.[a-zA-Z0-9_]+)*$/.test(name)
+    );
+}
+
+/**
+ * Get a class from a loaded module: the module export itself, the default export, or the export named after the (last part of the) controlType name
+ * @param {*} m - loaded module
+ * @param {string} name - controlType name
+ * @returns class, or undefined if not found
+ */
+function classFromModule(m, name) {
+    if (typeof m == "function") return m;
+    if (!m) return undefined;
+    if (typeof m.default == "function") return m.default;
+
+    let n = name.split(".").pop();
+    if (typeof m[n] == "function") return m[n];
+}
+
+/**
+ * Snapshot filter for persisted properties
+ * @param {dm} control
+ * @param {string} k - property name
+ * @returns {boolean}
+ */
+function persistFilter(control, k) {
+    if (control._persist[k] != undefined) return control._persist[k];
+    return control._checkAccess(k, "Get");
+}
+
+/**
+ * List of computed properties being recalculated, used to detect dependency cycles
+ * @type {Array}
+ */
+const computeStack = [];
+
+/**
+ * Last generated command invocation identifier (see dm.Call())
+ * @type {number}
+ */
+let commandId = 0;
+
+/**
+ * Options key granting a control its own ('private') access (see dm._private). The key is not exported, so that 'private' access can not be claimed through options passed by other code.
+ * @type {symbol}
+ */
+const privateAccess = Symbol("privateAccess");
+
+/**
+ * Methods called through dm._private with the control's own access, with the position and default value of their options argument
+ * @type {object}
+ */
+const privateMethods = {
+    Set: { index: 1, defaults: {} },
+    Get: { index: 0, defaults: { sparse: true } },
+    GetPath: { index: 1, defaults: { sparse: true } },
+    Find: { index: 1, defaults: {} },
+    GetHistory: { index: 1, defaults: {} },
+    Call: { index: 2, defaults: {} },
+};
+
+/**
+ * Validate and coerce command arguments
+ * @param {Array} schemas - List of argument schemas
+ * @param {*} args - List of arguments (a single argument may be passed without a list)
+ * @param {string} path - Command path, used in error messages
+ * @returns {Array} - List of (coerced) arguments
+ */
+function validateArgs(schemas, args, path) {
+    args = args == undefined ? [] : Array.isArray(args) ? [...args] : [args];
+
+    schemas.forEach((schema, i) => {
+        if (!schema || (args[i] == undefined && !schema.required)) return;
+
+        let r = validateValue(schema, args[i]);
+        if (r.error) {
+            throw new Error(
+                `Invalid argument ${i + 1} for command "${path}": ${r.error}`
+            );
+        }
+        args[i] = r.value;
+    });
+
+    return args;
+}
 
-            // Create getters and setters
-            Object.getOwnPropertyNames(control).forEach((k) => {
-                // Only return settable (not starting with "_") properties excluding special properties
-                if (
-                    k[0] != "_" &&
-                    (typeof control[k] == "number" ||
-                        typeof control[k] == "string" ||
-                        typeof control[k] == "boolean" ||
-                        Array.isArray(control[k]))
-                ) {
-                    // Store property value in _properties list
-                    control._properties[k] = control[k];
+/**
+ * Split a path into its segments, ignoring empty segments
+ * @param {string} path - e.g. 'house1/room2/doors' or '/house1'
+ * @returns {Array}
+ */
+function splitPath(path) {
+    return `${path}`.split("/").filter((p) => p != "");
+}
 
-                    // Create getter and setter
-                    Object.defineProperty(control, k, {
-                        get: function () {
-                            if (
-                                !this._acl[k] ||
-                                !this._acl[k].getter ||
-                                this._acl[k].getter == "public"
-                            ) {
-                                return this._properties[k];
-                            }
-                        },
-                        set: function (val) {
-                            // Only notify changes
-                            if (this._properties[k] != val) {
-                                if (
-                                    !this._acl[k] ||
-                                    !this._acl[k].setter ||
-                                    this._acl[k].setter == "public"
-                                ) {
-                                    this._properties[k] = val;
-                                    if (!this._bypassNotify) {
-                                        this.NotifyProperty(k);
-                                    } else {
-                                        this._bypassNotify = false;
-                                    }
-                                    this.emit(k, val);
-                                }
-                            }
-                            this._bypassNotify = false;
-                        },
-                    });
-                }
-            });
+/**
+ * Join path segments, ignoring empty segments
+ * @param {...string} segments
+ * @returns {string}
+ */
+function joinPath(...segments) {
+    return segments.filter((p) => p != undefined && p != "").join("/");
+}
 
-            // Add new control to controls list
-            this._controls[name] = control;
+/**
+ * Convert a path segment pattern with '*' and '?' wildcards to a regular expression
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    let re = pattern
+        .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+        .replace(/\?/g, ".");
+    return new RegExp(`^${re}$`);
+}
 
-            // Add a direct reference to the control in this control
-            this[name] = control;
+/**
+ * Test if path segments match a path pattern
+ * @param {Array} pattern - List of pattern segments (regular expressions, or '**' to match any number of segments)
+ * @param {Array} segments - List of path segments
+ * @returns {boolean}
+ */
+function matchPath(pattern, segments) {
+    if (!pattern.length) return !segments.length;
 
-            // Set control child data
-            control.Set(data);
+    if (pattern[0] == "**") {
+        for (let i = 0; i <= segments.length; i++) {
+            if (matchPath(pattern.slice(1), segments.slice(i))) return true;
+        }
+        return false;
+    }
 
-            // Initialise control after setting data initial data
-            control.Init();
+    return (
+        segments.length > 0 &&
+        pattern[0].test(segments[0]) &&
+        matchPath(pattern.slice(1), segments.slice(1))
+    );
+}
 
-            // Emit the [controlName] event on this (newly created control's parent)
-            this.emit(name, control);
+/**
+ * Get the schema type name of a value
+ * @param {*} value
+ * @returns {string} - 'array', 'number', 'string', 'boolean', 'null', 'undefined' or 'object'
+ */
+function valueType(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    return typeof value;
+}
 
-            // Emit that a new control has been created
-            this.emit("newChildControl", control);
+/**
+ * Coerce a value to the given schema type where this can be done without loss of information
+ * @param {string} type - Schema type
+ * @param {*} value
+ * @returns {*} - Coerced value, or the original value if it can not be coerced
+ */
+function coerceValue(type, value) {
+    let t = valueType(value);
+    if (t == type) return value;
+
+    if (type == "number" && t == "string" && value.trim() != "") {
+        let n = Number(value);
+        if (Number.isFinite(n)) return n;
+    } else if (type == "string" && (t == "number" || t == "boolean")) {
+        return `${value}`;
+    } else if (type == "boolean" && t == "string") {
+        if (value == "true") return true;
+        if (value == "false") return false;
+    }
+
+    return value;
+}
+
+/**
+ * Validate a value against a property schema (see dm.SetSchema())
+ * @param {Object} schema - Property schema
+ * @param {*} value - Value to be validated
+ * @returns {Object} - { value: [coerced value] } or { error: [reason] }
+ */
+function validateValue(schema, value) {
+    if (value == undefined) {
+        return { error: `Value is ${value}` };
+    }
+
+    if (schema.type) {
+        value = coerceValue(schema.type, value);
+        if (valueType(value) != schema.type) {
+            return {
+                error: `Expected ${schema.type}, received ${valueType(value)}`,
+            };
         }
     }
 
-    /**
-     * Set an access control list for a property. Only applies to properties with automatically generated getters and setters (number, string, bool and Array types not prefixed with '_')
-     * @param {*} propertyName - Property name
-     * @param {*} ACL - Access control list { Set: 'public'(default)/'none', Get: 'public'(default)/'none', setter: 'public'(default)/'none', getter: 'public'(default)/'none' } where 'Set' refers to data set through control.Set(), 'Get' refers to data retreived through control.Get() or through automatic notification, 'setter' refers to setting the property through control.property = value and 'getter' refers to getting the property value through value = control.property. 'private' = only accessible by the control itself, 'public' = accessible by any other controls / external code, none = not accessible at all.
-     */
-    SetAccess(propertyName, ACL) {
-        if (this[propertyName] != undefined) {
-            this._acl[propertyName] = ACL;
+    if (
+        schema.required &&
+        (value === "" || (Array.isArray(value) && !value.length))
+    ) {
+        return { error: "Value is required" };
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return { error: `Value is not one of ${JSON.stringify(schema.enum)}` };
+    }
+
+    let size = typeof value == "number" ? value : value.length;
+    if (size != undefined) {
+        if (schema.min != undefined && size < schema.min) {
+            return { error: `Value is less than the minimum of ${schema.min}` };
+        }
+        if (schema.max != undefined && size > schema.max) {
+            return {
+                error: `Value is greater than the maximum of ${schema.max}`,
+            };
         }
     }
 
-    /**
-     * Set a list of meta data properties. This metadata will be sent with the 'data' event.
-     * @param {*} propertyName - Property name
-     * @param {*} META - Meta data to be set, this can be any object structure, the way the you want to receive the data with the data event
-     */
-    SetMeta(propertyName, META) {
-        if (this[propertyName] != undefined) {
-            this._meta[propertyName] = META;
+    if (schema.pattern != undefined && typeof value == "string") {
+        // Copy RegExp patterns without the 'g' and 'y' flags, which keep state between test() calls
+        let re =
+            schema.pattern instanceof RegExp
+                ? new RegExp(
+                      schema.pattern.source,
+                      schema.pattern.flags.replace(/[gy]/g, "")
+                  )
+                : new RegExp(schema.pattern);
+        if (!re.test(value)) {
+            return { error: `Value does not match ${re}` };
         }
     }
+
+    if (schema.items && Array.isArray(value)) {
+        let items = [];
+        for (let i = 0; i < value.length; i++) {
+            let r = validateValue(schema.items, value[i]);
+            if (r.error) return { error: `Item ${i}: ${r.error}` };
+            items.push(r.value);
+        }
+        value = items;
+    }
+
+    return { value: value };
 }
 
 /**
- * Top level container for moduler-dm controls
+ * Aggregate property history values per time window
+ * @param {Array} entries - List of { time, value }
+ * @param {number} window - Window size in milliseconds
+ * @param {string} aggregate - [Optional] 'min', 'max', 'avg', 'last' or 'count': Only return the passed aggregate as { time, value }
+ * @returns {Array} - List of { time, count, min, max, avg, last } or { time, value } per window, where time is the start time of the window
  */
-class dmTopLevelContainer extends dm {
-    /**
-     * Top level container for moduler-dm controls
-     * @param {string} path - path to modular-dm control class files. This should be the absolute path to the control files directory or the relative path from the directory where modular-dm is installed.
-     */
-    constructor(path) {
-        super();
-        this._path = path;
-        this._controlName = "topLevelContainer";
-        this._topLevelParent = this;
+function aggregateHistory(entries, window, aggregate) {
+    if (
+        aggregate != undefined &&
+        !["min", "max", "avg", "last", "count"].includes(aggregate)
+    ) {
+        throw new Error(`Invalid history aggregate "${aggregate}"`);
+    }
 
-        // dynamically loaded class cache
-        this._cls_ = {};
+    let windows = [];
+    entries.forEach((e) => {
+        let time = Math.floor(e.time / window) * window;
+        let w = windows[windows.length - 1];
+        if (!w || w.time != time) {
+            w = { time: time, values: [] };
+            windows.push(w);
+        }
+        w.values.push(e.value);
+    });
+
+    return windows.map((w) => {
+        let numbers = w.values.filter((v) => typeof v == "number");
+        let r = {
+            time: w.time,
+            count: w.values.length,
+            min: numbers.length ? Math.min(...numbers) : undefined,
+            max: numbers.length ? Math.max(...numbers) : undefined,
+            avg: numbers.length
+                ? numbers.reduce((a, b) => a + b, 0) / numbers.length
+                : undefined,
+            last: cloneData(w.values[w.values.length - 1]),
+        };
+        return aggregate ? { time: w.time, value: r[aggregate] } : r;
+    });
+}
+
+/**
+ * Array methods changing the array in place
+ * @type {Array}
+ */
+const arrayMutators = [
+    "push",
+    "pop",
+    "shift",
+    "unshift",
+    "splice",
+    "sort",
+    "reverse",
+    "fill",
+    "copyWithin",
+];
+
+/**
+ * Check if a value is a plain object (not an array, class instance or null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    if (!value || typeof value != "object") return false;
+    let proto = Object.getPrototypeOf(value);
+    return proto == Object.prototype || proto == null;
+}
+
+/**
+ * Check if a value is an array or plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isContainer(value) {
+    return Array.isArray(value) || isPlainObject(value);
+}
+
+/**
+ * Check if a value can be equipped with a getter and setter: number, string, boolean, Array or plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTrackedValue(value) {
+    return (
+        typeof value == "number" ||
+        typeof value == "string" ||
+        typeof value == "boolean" ||
+        isContainer(value)
+    );
+}
+
+/**
+ * Deep copy arrays and plain objects. Other values are returned as is.
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneData(value) {
+    if (Array.isArray(value)) return value.map(cloneData);
+    if (isPlainObject(value)) {
+        let c = {};
+        Object.keys(value).forEach((k) => {
+            c[k] = cloneData(value[k]);
+        });
+        return c;
+    }
+    return value;
+}
+
+/**
+ * Deep copy a value for sparse Get() results, excluding empty ("", empty array) object values
+ * @param {*} value
+ * @returns {*}
+ */
+function sparseData(value) {
+    if (isPlainObject(value)) {
+        let c = {};
+        Object.keys(value).forEach((k) => {
+            if (value[k] != "") c[k] = sparseData(value[k]);
+        });
+        return c;
+    }
+    return cloneData(value);
+}
+
+/**
+ * Deep compare arrays and plain objects. Other values are compared with ==.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function deepEqual(a, b) {
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return (
+            Array.isArray(a) &&
+            Array.isArray(b) &&
+            a.length == b.length &&
+            a.every((v, i) => deepEqual(v, b[i]))
+        );
+    }
+    if (isPlainObject(a) || isPlainObject(b)) {
+        if (!isPlainObject(a) || !isPlainObject(b)) return false;
+        let ka = Object.keys(a);
+        let kb = Object.keys(b);
+        return (
+            ka.length == kb.length &&
+            ka.every((k) => Object.prototype.hasOwnProperty.call(b, k)) &&
+            ka.every((k) => deepEqual(a[k], b[k]))
+        );
+    }
+    return a == b;
+}
+
+/**
+ * Replace the contents of an array or object in place
+ * @param {*} target - Array or object to be updated
+ * @param {*} source - Array or object with the new contents
+ */
+function replaceData(target, source) {
+    if (Array.isArray(target)) {
+        target.length = 0;
+        target.push(...source);
+    } else {
+        Object.keys(target).forEach((k) => {
+            delete target[k];
+        });
+        Object.assign(target, source);
     }
 }
 
+/**
+ * Merge partial object data passed to Set() into an object property value. Nested objects are merged, other values (including arrays) are replaced, and keys set to null are deleted.
+ * @param {object} target
+ * @param {object} source
+ * @returns {object} - target
+ */
+function mergeSetData(target, source) {
+    Object.keys(source).forEach((k) => {
+        let v = source[k];
+        if (v === null) {
+            delete target[k];
+        } else if (isPlainObject(v) && isPlainObject(target[k])) {
+            mergeSetData(target[k], v);
+        } else {
+            target[k] = cloneData(v);
+        }
+    });
+    return target;
+}
+
+/**
+ * Deep merge the source object into the target object. Arrays and values are replaced; objects are merged.
+ * @param {object} target
+ * @param {object} source
+ * @returns {object} - target
+ */
+function mergeData(target, source) {
+    if (!source || typeof source != "object") return target;
+
+    Object.keys(source).forEach((k) => {
+        let v = source[k];
+        if (v && typeof v == "object" && !Array.isArray(v)) {
+            if (
+                !target[k] ||
+                typeof target[k] != "object" ||
+                Array.isArray(target[k])
+            ) {
+                target[k] = {};
+            }
+            mergeData(target[k], v);
+        } else {
+            target[k] = v;
+        }
+    });
+
+    return target;
+}
+
 /* #region  multiple extendable classes */
 
 /**
- * _uiClasses is a function added to modular-ui, to be able to extend a class with more that one class
- * !!! Important to note, that if both super classes contains the same porperty/ function (porperty/ function name, will be overwriten by the last class loaded containing that property/ function)
- * Link to referance used: https://stackoverflow.com/questions/29879267/es6-class-multiple-inheritance
- * @param {Object} baseClass - Base class to be extended with sub classes
- * @param  {...any} mixins - Classes to be added to the base class, (comma separated eg. uiClasses(BaseClass, ClassA, ClassB, ClassC))
+ * Per-property settings of dm based mixins merged onto the instance by Classes()
+ */
+const traitSettings = [
+    "_acl",
+    "_meta",
+    "_schema",
+    "_persist",
+    "_history",
+    "_notifyPolicy",
+];
+
+/**
+ * Lifecycle hooks chained by Classes() instead of being overridden
+ */
+const traitHooks = ["Init", "Destroy"];
+
+/**
+ * Names of the internal instance properties of dm, not copied from dm based mixins
+ */
+let dmInternals;
+
+/**
+ * Extend a base class with one or more mixin classes (traits), e.g. class room extends Classes(dm, dimmable, schedulable). Mixins are applied in the given order:
+ * - Prototype members (methods, getters and setters) of the mixins are added to the class.
+ * - Init() and Destroy() are chained: Init() of the base class and the mixins is called in the given order, and Destroy() in reverse order. A hook returning a promise is awaited before the next hook is called. Classes extending the returned class should call super.Init() / super.Destroy() when overriding these hooks.
+ * - Instance properties declared in the mixin constructors are added to the instance before the control is created, so that tracked properties are equipped with getters and setters. Property access control lists, meta data, schemas, persistence settings, history, notification policies, commands and role based access rules declared in the constructor of dm based mixins are merged onto the instance. Other setup (e.g. event subscriptions and SetComputed()) should be done in Init(), as mixin constructors are called on a separate instance.
+ * - Members and properties defined by more than one class (with different values or settings) are conflicts, raising an error unless a resolution is declared through the options.
+ * @param {Object} baseClass - Base class to be extended with the mixin classes
+ * @param  {...any} mixins - Mixin classes (comma separated e.g. Classes(BaseClass, ClassA, ClassB, ClassC)), optionally followed by an options object { resolve } - resolve: Conflict resolutions by member or property name: the class (baseClass or one of the mixins) of which the member / property should be used, or (for methods) a function to be used as the method (e.g. { resolve: { reset: ClassA, level: ClassB, toString: function () { ... } } })
  * @returns Base class
  */
 function Classes(baseClass, ...mixins) {
+    let options = {};
+    if (mixins.length && typeof mixins[mixins.length - 1] != "function") {
+        options = mixins.pop() || {};
+    }
+    let resolve = options.resolve || {};
+    let sources = [baseClass, ...mixins];
+
+    // Resolve a conflict between the current owner and a mixin. Returns true if the mixin's member or property should be used.
+    let resolveConflict = (name, kind, owner, mixin) => {
+        let r = resolve[name];
+        if (sources.includes(r)) return r == mixin;
+        if (typeof r == "function" && kind == "method") return false;
+
+        throw new Error(
+            `Classes(): ${kind} "${name}" is defined by both ${owner.name} and ${mixin.name}. Declare a resolution through the 'resolve' option (e.g. { resolve: { ${name}: ${mixin.name} } }).`
+        );
+    };
+
     class base extends baseClass {
         constructor(...args) {
             super(...args);
+
+            // Owner classes of instance properties, for conflict detection
+            let owners = {};
+            Object.getOwnPropertyNames(this).forEach((k) => {
+                owners[k] = baseClass;
+            });
+
             mixins.forEach((mixin) => {
-                copyProps(this, new mixin());
+                mergeTrait(this, new mixin(), mixin, owners, resolveConflict);
             });
         }
     }
-    let copyProps = (target, source) => {
-        // this function copies all properties and symbols, filtering out some special ones
-        Object.getOwnPropertyNames(source)
-            .concat(Object.getOwnPropertySymbols(source))
-            .forEach((prop) => {
+
+    // Prototype chain of the base class, shared with mixins extending the same classes
+    let baseProtos = new Set();
+    for (
+        let proto = baseClass.prototype;
+        proto && proto != Object.prototype;
+        proto = Object.getPrototypeOf(proto)
+    ) {
+        baseProtos.add(proto);
+    }
+
+    let owners = {};
+    mixins.forEach((mixin) => {
+        // Members defined by the mixin (and its super classes not shared with the base class)
+        let members = {};
+        for (
+            let proto = mixin.prototype;
+            proto && proto != Object.prototype && !baseProtos.has(proto);
+            proto = Object.getPrototypeOf(proto)
+        ) {
+            Object.getOwnPropertyNames(proto).forEach((k) => {
                 if (
-                    !prop.match(
-                        /^(?:constructor|prototype|arguments|caller|name|bind|call|apply|toString|length)$/
-                    )
-                )
+                    k != "constructor" &&
+                    !traitHooks.includes(k) &&
+                    !members[k]
+                ) {
+                    members[k] = Object.getOwnPropertyDescriptor(proto, k);
+                }
+            });
+        }
+
+        Object.keys(members).forEach((k) => {
+            let d = members[k];
+            let current = owners[k]
+                ? Object.getOwnPropertyDescriptor(base.prototype, k)
+                : memberDescriptor(baseClass.prototype, k);
+
+            if (
+                current &&
+                !sameDescriptor(current, d) &&
+                !resolveConflict(k, "method", owners[k] || baseClass, mixin)
+            ) {
+                return;
+            }
+
+            Object.defineProperty(base.prototype, k, d);
+            owners[k] = mixin;
+        });
+
+        // outside contructor() to allow aggregation(A,B,C).staticFunction() to be called etc.
+        Object.getOwnPropertyNames(mixin)
+            .concat(Object.getOwnPropertySymbols(mixin))
+            .forEach((k) => {
+                if (
+                    typeof k == "symbol" ||
+                    !k.match(/^(?:prototype|arguments|caller|name|length)$/)
+                ) {
                     Object.defineProperty(
-                        target,
-                        prop,
-                        Object.getOwnPropertyDescriptor(source, prop)
+                        base,
+                        k,
+                        Object.getOwnPropertyDescriptor(mixin, k)
                     );
+                }
             });
-    };
-    mixins.forEach((mixin) => {
-        // outside contructor() to allow aggregation(A,B,C).staticFunction() to be called etc.
-        copyProps(base.prototype, mixin.prototype);
-        copyProps(base, mixin);
     });
+
+    // Methods declared as resolution functions
+    Object.keys(resolve).forEach((k) => {
+        if (typeof resolve[k] == "function" && !sources.includes(resolve[k])) {
+            Object.defineProperty(base.prototype, k, {
+                value: resolve[k],
+                writable: true,
+                configurable: true,
+                enumerable: false,
+            });
+        }
+    });
+
+    // Chain lifecycle hooks
+    traitHooks.forEach((hook) => {
+        let hooks = [];
+        sources.forEach((c) => {
+            let fn = c.prototype[hook];
+            if (typeof fn == "function" && !hooks.includes(fn)) hooks.push(fn);
+        });
+        if (hook == "Destroy") hooks.reverse();
+
+        if (hooks.length > 1) {
+            Object.defineProperty(base.prototype, hook, {
+                value: chainHooks(hooks),
+                writable: true,
+                configurable: true,
+                enumerable: false,
+            });
+        }
+    });
+
     return base;
 }
+
+/**
+ * Merge the instance properties and per-property settings of a mixin instance onto a Classes() instance
+ * @param {Object} target - Instance of the class returned by Classes()
+ * @param {Object} source - Instance of the mixin class
+ * @param {class} mixin - Mixin class
+ * @param {Object} owners - Owner classes of the target's properties by property name
+ * @param {function} resolveConflict - resolveConflict(name, kind, owner, mixin) function returning true if the mixin's property should be used
+ */
+function mergeTrait(target, source, mixin, owners, resolveConflict) {
+    let isDm = source instanceof dm;
+    if (isDm && !dmInternals) {
+        dmInternals = Object.getOwnPropertyNames(new dm());
+    }
+
+    // Per-property settings are only merged between dm instances
+    let merge = isDm && target instanceof dm;
+
+    Object.getOwnPropertyNames(source).forEach((k) => {
+        if (isDm && dmInternals.includes(k)) return;
+
+        if (Object.prototype.hasOwnProperty.call(target, k)) {
+            let conflict =
+                typeof target[k] != typeof source[k] ||
+                !deepEqual(target[k], source[k]) ||
+                (merge &&
+                    traitSettings.some(
+                        (s) =>
+                            target[s][k] != undefined &&
+                            source[s][k] != undefined &&
+                            !deepEqual(target[s][k], source[s][k])
+                    ));
+
+            if (conflict) {
+                if (!resolveConflict(k, "property", owners[k], mixin)) return;
+
+                // The mixin's property replaces the property including its settings
+                if (merge) {
+                    traitSettings.forEach((s) => {
+                        delete target[s][k];
+                    });
+                }
+            }
+        }
+
+        Object.defineProperty(
+            target,
+            k,
+            Object.getOwnPropertyDescriptor(source, k)
+        );
+        owners[k] = mixin;
+
+        // Merge per-property settings
+        if (merge) {
+            traitSettings.forEach((s) => {
+                if (source[s][k] == undefined) return;
+                target[s][k] = source[s][k];
+            });
+        }
+    });
+
+    if (!merge) return;
+
+    // Merge commands (declared for methods) and their access control lists
+    Object.keys(source._commands).forEach((k) => {
+        let command = target._commands[k];
+        if (command && !deepEqual(command, source._commands[k])) {
+            throw new Error(
+                `Classes(): command "${k}" is declared by both ${target.constructor.name} and ${mixin.name}`
+            );
+        }
+        target._commands[k] = source._commands[k];
+        if (source._acl[k] != undefined && target._acl[k] == undefined) {
+            target.SetAccess(k, source._acl[k]);
+        }
+    });
+
+    // Merge role based access rules
+    Object.keys(source._roleAcl).forEach((role) => {
+        let acl = target._roleAcl[role];
+        if (acl && !deepEqual(acl, source._roleAcl[role])) {
+            throw new Error(
+                `Classes(): role access rules for "${role}" are defined by both ${target.constructor.name} and ${mixin.name}`
+            );
+        }
+        target._roleAcl[role] = source._roleAcl[role];
+    });
+}
+
+/**
+ * Get the descriptor of a member from an object or its prototype chain
+ * @param {Object} obj
+ * @param {string} name
+ * @returns {Object} - Property descriptor, or undefined if not found
+ */
+function memberDescriptor(obj, name) {
+    for (
+        let proto = obj;
+        proto && proto != Object.prototype;
+        proto = Object.getPrototypeOf(proto)
+    ) {
+        let d = Object.getOwnPropertyDescriptor(proto, name);
+        if (d) return d;
+    }
+}
+
+/**
+ * Check if two property descriptors refer to the same member
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function sameDescriptor(a, b) {
+    return a.value === b.value && a.get === b.get && a.set === b.set;
+}
+
+/**
+ * Create a function calling a list of hook functions in order. When a hook returns a promise, the remaining hooks are called after the promise resolves, and the returned function returns a promise.
+ * @param {Array} hooks - List of functions
+ * @returns {function}
+ */
+function chainHooks(hooks) {
+    return function (...args) {
+        let i = 0;
+        let next = () => {
+            while (i < hooks.length) {
+                let r = hooks[i++].apply(this, args);
+                if (r && typeof r.then == "function") return r.then(next);
+            }
+        };
+        return next();
+    };
+}
 /* #endregion */
 
 // Export class
 module.exports.dm = dm;
 module.exports.dmTopLevelContainer = dmTopLevelContainer;
 module.exports.Classes = Classes;
+module.exports.dmFileStorage = dmFileStorage;
+module.exports.dmMemoryStorage = dmMemoryStorage;
+module.exports.dmSyncSerializer = dmSyncSerializer;
+module.exports.dmSyncApplier = dmSyncApplier;
+module.exports.dmMemoryTransport = dmMemoryTransport;
+module.exports.dmStreamTransport = dmStreamTransport;
+module.exports.dmConsoleLogSink = dmConsoleLogSink;
+module.exports.dmFileLogSink = dmFileLogSink;
+module.exports.dmMemoryLogSink = dmMemoryLogSink;
@@ -0,0 +1,256 @@
+// =====================================
+// Structured logging for modular-dm data models
+//
+// Copyright BCC South Africa
+// =====================================
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Log levels in order of severity
+ * @type {object}
+ */
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+};
+
+/**
+ * Structured log entry passed to log sinks
+ * @typedef {Object} dmLogEntry
+ * @property {number} time - Time of the log entry (ms since epoch)
+ * @property {string} level - 'debug', 'info', 'warn' or 'error'
+ * @property {string} message - Log message
+ * @property {string} path - Absolute path of the logging control
+ * @property {string} controlType - controlType of the logging control
+ * @property {string} className - Class name of the logging control
+ * @property {object} fields - Additional structured data passed to Log()
+ */
+
+/**
+ * Log sink interface used by dmTopLevelContainer.AddLogSink(). Any object implementing write() can be used as a log sink.
+ * @typedef {Object} dmLogSink
+ * @property {function(dmLogEntry)} write - Write a log entry
+ * @property {string} level - [Optional] Minimum level of entries written to the sink
+ */
+
+/**
+ * Check if a log level is valid
+ * @param {string} level
+ * @returns {boolean}
+ */
+function validLogLevel(level) {
+    return Object.prototype.hasOwnProperty.call(LOG_LEVELS, level);
+}
+
+/**
+ * Check if entries of the passed level pass a minimum log level
+ * @param {string} level - Log entry level
+ * @param {string} minLevel - [Optional] Minimum level. All levels pass when not set.
+ * @returns {boolean}
+ */
+function logLevelEnabled(level, minLevel) {
+    return !minLevel || LOG_LEVELS[level] >= LOG_LEVELS[minLevel];
+}
+
+/**
+ * Format a log entry as a single line of text
+ * @param {dmLogEntry} entry
+ * @returns {string}
+ */
+function formatLogEntry(entry) {
+    let fields =
+        entry.fields && Object.keys(entry.fields).length
+            ? ` ${JSON.stringify(entry.fields)}`
+            : "";
+    return `${new Date(
+        entry.time
+    ).toISOString()} ${entry.level.toUpperCase()} ${entry.className} | ${
+        entry.path || "/"
+    }: ${entry.message}${fields}`;
+}
+
+/**
+ * Console log sink. Warnings and errors are written to stderr.
+ * @class
+ */
+class dmConsoleLogSink {
+    /**
+     * Console log sink
+     * @param {Object} options - [Optional] { level, format } - level: Minimum level of written entries; format: format(entry) function returning the text to be written (default: formatLogEntry)
+     */
+    constructor(options = {}) {
+        this.level = options.level;
+        this.format = options.format || formatLogEntry;
+    }
+
+    /**
+     * Write a log entry
+     * @param {dmLogEntry} entry
+     */
+    write(entry) {
+        let line = this.format(entry);
+        if (entry.level == "warn" || entry.level == "error") {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+/**
+ * Rotating file log sink. Entries are appended to the log file as JSON lines. When the file exceeds the maximum size, it is renamed to [file].1 (and [file].1 to [file].2 etc.), keeping up to maxFiles rotated files.
+ * @class
+ */
+class dmFileLogSink {
+    /**
+     * Rotating file log sink
+     * @param {Object} options - { file, maxSize, maxFiles, level, onError } - file: Path to the log file; maxSize: Maximum file size in bytes before rotating (default: 10MB); maxFiles: Number of rotated files to keep (default: 5); level: Minimum level of written entries; onError: onError(err) function called when writing fails (default: console.error)
+     */
+    constructor(options) {
+        if (!options || !options.file) {
+            throw new Error("No file passed to dmFileLogSink");
+        }
+        this.file = options.file;
+        this.maxSize =
+            options.maxSize != undefined ? options.maxSize : 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles != undefined ? options.maxFiles : 5;
+        this.level = options.level;
+        this.onError = options.onError || ((err) => console.error(err));
+
+        this._size = undefined; // current file size, read before the first write
+        this._queue = [];
+        this._writing = Promise.resolve();
+    }
+
+    /**
+     * Queue a log entry to be written
+     * @param {dmLogEntry} entry
+     */
+    write(entry) {
+        this._queue.push(JSON.stringify(entry) + "\n");
+        if (this._queue.length == 1) {
+            this._writing = this._writing.then(() => this._writeQueue());
+        }
+    }
+
+    /**
+     * Wait until all queued entries are written
+     * @returns {Promise}
+     */
+    flush() {
+        return this._writing;
+    }
+
+    // Write queued entries, rotating the file when it exceeds the maximum size
+    async _writeQueue() {
+        try {
+            if (this._size == undefined) {
+                await fs.promises.mkdir(path.dirname(this.file), {
+                    recursive: true,
+                });
+                let stat = await fs.promises
+                    .stat(this.file)
+                    .catch(() => undefined);
+                this._size = stat ? stat.size : 0;
+            }
+
+            while (this._queue.length) {
+                let lines = this._queue;
+                this._queue = [];
+
+                // Append lines in chunks, rotating the file before it exceeds the maximum size
+                let chunk = "";
+                let chunkSize = 0;
+                for (let line of lines) {
+                    let size = Buffer.byteLength(line);
+                    let total = this._size + chunkSize;
+                    if (total > 0 && total + size > this.maxSize) {
+                        await this._append(chunk, chunkSize);
+                        await this._rotate();
+                        chunk = "";
+                        chunkSize = 0;
+                    }
+                    chunk += line;
+                    chunkSize += size;
+                }
+                await this._append(chunk, chunkSize);
+            }
+        } catch (err) {
+            this._queue = [];
+            this._size = undefined;
+            this.onError(err);
+        }
+    }
+
+    // Append data to the log file
+    async _append(data, size) {
+        if (!size) return;
+        await fs.promises.appendFile(this.file, data, "utf8");
+        this._size += size;
+    }
+
+    // Rename the log file to [file].1, shifting previously rotated files
+    async _rotate() {
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            await fs.promises
+                .rename(`${this.file}.${i}`, `${this.file}.${i + 1}`)
+                .catch(() => {});
+        }
+
+        if (this.maxFiles > 0) {
+            await fs.promises.rename(this.file, `${this.file}.1`);
+        } else {
+            await fs.promises.rm(this.file, { force: true });
+        }
+
+        this._size = 0;
+    }
+}
+
+/**
+ * In-memory ring buffer log sink, keeping the most recent log entries. Useful for testing.
+ * @class
+ */
+class dmMemoryLogSink {
+    /**
+     * In-memory log sink
+     * @param {Object} options - [Optional] { size, level } - size: Maximum number of entries to keep (default: 1000); level: Minimum level of kept entries
+     */
+    constructor(options = {}) {
+        this.size = options.size != undefined ? options.size : 1000;
+        this.level = options.level;
+        /**
+         * Kept log entries (oldest first)
+         * @type {Array<dmLogEntry>}
+         */
+        this.entries = [];
+    }
+
+    /**
+     * Add a log entry
+     * @param {dmLogEntry} entry
+     */
+    write(entry) {
+        this.entries.push(entry);
+        if (this.entries.length > this.size) this.entries.shift();
+    }
+
+    /**
+     * Remove all kept entries
+     */
+    clear() {
+        this.entries = [];
+    }
+}
+
+module.exports.LOG_LEVELS = LOG_LEVELS;
+module.exports.validLogLevel = validLogLevel;
+module.exports.logLevelEnabled = logLevelEnabled;
+module.exports.formatLogEntry = formatLogEntry;
+module.exports.dmConsoleLogSink = dmConsoleLogSink;
+module.exports.dmFileLogSink = dmFileLogSink;
+module.exports.dmMemoryLogSink = dmMemoryLogSink;
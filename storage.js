@@ -0,0 +1,105 @@
+// =====================================
+// Storage adapters for modular-dm persistence
+//
+// Copyright BCC South Africa
+// =====================================
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Storage adapter interface used by dmTopLevelContainer persistence. Any object implementing read() and write() can be used as a storage adapter.
+ * @typedef {Object} dmStorageAdapter
+ * @property {function(): Promise<string|undefined>} read - Returns the stored snapshot, or undefined if nothing has been stored yet
+ * @property {function(string): Promise<void>} write - Stores the passed snapshot, replacing the previously stored snapshot
+ */
+
+/**
+ * File system storage adapter. Snapshots are written to a temporary file in the same directory and renamed over the target file, so that a crash during a write never leaves a partially written file behind.
+ * @class
+ */
+class dmFileStorage {
+    /**
+     * File system storage adapter
+     * @param {string} filePath - Path to the snapshot file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * Read the snapshot file
+     * @returns {Promise<string|undefined>} - File contents, or undefined if the file does not exist
+     */
+    async read() {
+        try {
+            return await fs.promises.readFile(this.filePath, "utf8");
+        } catch (err) {
+            if (err.code == "ENOENT") return undefined;
+            throw err;
+        }
+    }
+
+    /**
+     * Atomically write the snapshot file
+     * @param {string} data - Snapshot data
+     */
+    async write(data) {
+        let dir = path.dirname(this.filePath);
+        let tmp = path.join(
+            dir,
+            `.${path.basename(this.filePath)}.${process.pid}.tmp`
+        );
+
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        // Write and flush to a temporary file before replacing the target file
+        let fh = await fs.promises.open(tmp, "w");
+        try {
+            await fh.writeFile(data, "utf8");
+            await fh.sync();
+        } finally {
+            await fh.close();
+        }
+
+        try {
+            await fs.promises.rename(tmp, this.filePath);
+        } catch (err) {
+            await fs.promises.rm(tmp, { force: true });
+            throw err;
+        }
+    }
+}
+
+/**
+ * In-memory storage adapter. Useful for testing, or as a template for other storage back-ends.
+ * @class
+ */
+class dmMemoryStorage {
+    /**
+     * In-memory storage adapter
+     * @param {string} data - [Optional] Initial snapshot data
+     */
+    constructor(data) {
+        this.data = data;
+    }
+
+    /**
+     * Read the stored snapshot
+     * @returns {Promise<string|undefined>}
+     */
+    async read() {
+        return this.data;
+    }
+
+    /**
+     * Store a snapshot
+     * @param {string} data - Snapshot data
+     */
+    async write(data) {
+        this.data = data;
+    }
+}
+
+module.exports.dmFileStorage = dmFileStorage;
+module.exports.dmMemoryStorage = dmMemoryStorage;
@@ -0,0 +1,455 @@
+// =====================================
+// Patch based synchronisation of modular-dm data models
+//
+// Copyright BCC South Africa
+// =====================================
+
+const EventEmitter = require("events");
+const { StringDecoder } = require("string_decoder");
+
+/**
+ * Sync protocol version
+ * @type {number}
+ */
+const PROTOCOL_VERSION = 1;
+
+/**
+ * Transport interface used by dmSyncSerializer and dmSyncApplier. A transport is an EventEmitter emitting a 'message' event for every received message, with a send(message) method to send a message to the remote side.
+ * @typedef {Object} dmSyncTransport
+ * @property {function(object)} send - Send a message to the remote side
+ * @property {function(string, function)} on - Subscribe to received messages through the 'message' event
+ * @property {function(string, function)} off - Unsubscribe from received messages
+ */
+
+/**
+ * Serializes the 'data' change stream of a control (usually the top level container) into sequenced patches, and sends a full snapshot on request of the remote side. Commands (see dm.SetCommand()) called by the remote side are invoked through dm.Call(), and the result is sent back. When a role is passed, role based access rules (see dm.SetRoleAccess()) are applied to patches, snapshots and commands.
+ *
+ * Messages sent: { v, type: 'patch', seq, data, meta }, { v, type: 'snapshot', seq, data } and { v, type: 'result', id, result, error: { message } }
+ *
+ * Messages received: { v, type: 'resync' } and { v, type: 'call', id, path, args }
+ *
+ * Unsupported messages are ignored, and emitted as an Error through the 'syncError' event.
+ * @extends EventEmitter
+ * @class
+ */
+class dmSyncSerializer extends EventEmitter {
+    /**
+     * Patch serializer
+     * @param {dm} control - Control of which changes should be sent
+     * @param {dmSyncTransport} transport - Transport used to send patches and receive resync requests
+     * @param {Object} options - [Optional] { role } - role: Role of the remote side, applied to sent patches and snapshots (Get rules) and to commands called by the remote side (Call rules). See dm.SetRoleAccess().
+     */
+    constructor(control, transport, options = {}) {
+        super();
+        this.control = control;
+        this.transport = transport;
+        this.role = options.role;
+        /**
+         * Sequence number of the last sent patch
+         * @type {number}
+         */
+        this.seq = 0;
+
+        this._onData = (data, meta) => {
+            if (this.role != undefined) {
+                data = filterRoleData(this.control, data, this.role);
+                if (data == undefined) return;
+            }
+
+            this.seq++;
+            this.transport.send({
+                v: PROTOCOL_VERSION,
+                type: "patch",
+                seq: this.seq,
+                data: data,
+                meta: meta,
+            });
+        };
+
+        this._onMessage = (msg) => {
+            if (!msg || msg.v != PROTOCOL_VERSION) {
+                this.emit(
+                    "syncError",
+                    new Error(
+                        `Unsupported sync message: ${JSON.stringify(msg)}`
+                    )
+                );
+            } else if (msg.type == "resync") {
+                this.SendSnapshot();
+            } else if (msg.type == "call") {
+                this._call(msg);
+            }
+        };
+
+        this.control.on("data", this._onData);
+        this.transport.on("message", this._onMessage);
+    }
+
+    /**
+     * Send a full snapshot of the control data. Empty values are included, so that the remote side's values are replaced.
+     */
+    SendSnapshot() {
+        this.transport.send({
+            v: PROTOCOL_VERSION,
+            type: "snapshot",
+            seq: this.seq,
+            data: this.control.Get({ sparse: false, role: this.role }),
+        });
+    }
+
+    /**
+     * Stop sending patches and unsubscribe from the transport
+     */
+    Close() {
+        this.control.off("data", this._onData);
+        this.transport.off("message", this._onMessage);
+    }
+
+    // Invoke a command called by the remote side, and send the result
+    _call(msg) {
+        this.control
+            .Call(msg.path, msg.args, { id: msg.id, role: this.role })
+            .then(
+                (result) => {
+                    this.transport.send({
+                        v: PROTOCOL_VERSION,
+                        type: "result",
+                        id: msg.id,
+                        result: result,
+                    });
+                },
+                (err) => {
+                    this.transport.send({
+                        v: PROTOCOL_VERSION,
+                        type: "result",
+                        id: msg.id,
+                        error: {
+                            message:
+                                err && err.message ? err.message : `${err}`,
+                        },
+                    });
+                }
+            );
+    }
+}
+
+/**
+ * Applies sequenced patches received from a dmSyncSerializer to a control through Set(). When a gap in the sequence numbers is detected, a full snapshot is requested from the remote side and patches are ignored until the snapshot is received. Commands on the remote side can be invoked through Call().
+ *
+ * Unsupported messages are ignored, and emitted as an Error through the 'syncError' event.
+ * @extends EventEmitter
+ * @class
+ */
+class dmSyncApplier extends EventEmitter {
+    /**
+     * Patch applier
+     * @param {dm} control - Control to which patches should be applied
+     * @param {dmSyncTransport} transport - Transport used to receive patches and send resync requests
+     * @param {Object} options - [Optional] { resync: true(default)/false } - resync: Request a full snapshot on creation
+     */
+    constructor(control, transport, options = {}) {
+        super();
+        this.control = control;
+        this.transport = transport;
+        /**
+         * Sequence number of the last applied patch or snapshot
+         * @type {number}
+         */
+        this.seq = undefined;
+        /**
+         * True while waiting for a requested snapshot
+         * @type {boolean}
+         */
+        this.resyncing = false;
+
+        // Pending remote command calls by call id
+        this._calls = new Map();
+        this._callId = 0;
+
+        this._onMessage = (msg) => {
+            if (!msg || msg.v != PROTOCOL_VERSION) {
+                this.emit(
+                    "syncError",
+                    new Error(
+                        `Unsupported sync message: ${JSON.stringify(msg)}`
+                    )
+                );
+            } else if (msg.type == "snapshot") {
+                this._applySnapshot(msg);
+            } else if (msg.type == "patch") {
+                this._applyPatch(msg);
+            } else if (msg.type == "result") {
+                this._applyResult(msg);
+            }
+        };
+
+        this.transport.on("message", this._onMessage);
+
+        if (options.resync !== false) this.Resync();
+    }
+
+    /**
+     * Request a full snapshot from the remote side
+     */
+    Resync() {
+        this.resyncing = true;
+        this.transport.send({ v: PROTOCOL_VERSION, type: "resync" });
+    }
+
+    /**
+     * Invoke a command (see dm.SetCommand()) on the remote side
+     * @param {string} path - Path to the command, relative to the remote side's control (e.g. 'house1/room1/reset')
+     * @param {Array} args - [Optional] List of arguments
+     * @param {Object} options - [Optional] { timeout } - timeout: Reject the call if no result is received within [timeout] ms
+     * @returns {Promise} - Resolves to the result of the command, or rejects with the error message received from the remote side
+     */
+    Call(path, args, options = {}) {
+        let id = ++this._callId;
+
+        return new Promise((resolve, reject) => {
+            let call = { resolve: resolve, reject: reject, timer: undefined };
+            if (options.timeout) {
+                call.timer = setTimeout(() => {
+                    this._calls.delete(id);
+                    reject(new Error(`Call to "${path}" timed out`));
+                }, options.timeout);
+            }
+            this._calls.set(id, call);
+
+            this.transport.send({
+                v: PROTOCOL_VERSION,
+                type: "call",
+                id: id,
+                path: path,
+                args: args,
+            });
+        });
+    }
+
+    /**
+     * Stop applying patches and unsubscribe from the transport. Pending calls are rejected.
+     */
+    Close() {
+        this.transport.off("message", this._onMessage);
+
+        this._calls.forEach((call) => {
+            clearTimeout(call.timer);
+            call.reject(new Error("Sync applier closed"));
+        });
+        this._calls.clear();
+    }
+
+    // Resolve or reject a pending call with a received result
+    _applyResult(msg) {
+        let call = this._calls.get(msg.id);
+        if (!call) return;
+
+        this._calls.delete(msg.id);
+        clearTimeout(call.timer);
+
+        if (msg.error) {
+            call.reject(new Error(msg.error.message));
+        } else {
+            call.resolve(msg.result);
+        }
+    }
+
+    // Apply a patch, or request a snapshot if a gap in sequence numbers is detected
+    _applyPatch(msg) {
+        if (this.resyncing) return;
+
+        // Ignore duplicate patches
+        if (this.seq != undefined && msg.seq <= this.seq) return;
+
+        if (this.seq == undefined || msg.seq != this.seq + 1) {
+            this.emit("gap", {
+                expected: this.seq != undefined ? this.seq + 1 : undefined,
+                received: msg.seq,
+            });
+            this.Resync();
+            return;
+        }
+
+        this.seq = msg.seq;
+        this.control.Set(msg.data, { origin: "remote" });
+        this.emit("patch", msg);
+    }
+
+    // Replace the control data with a full snapshot
+    _applySnapshot(msg) {
+        removeMissingControls(this.control, msg.data);
+
+        this.seq = msg.seq;
+        this.resyncing = false;
+        this.control.Set(msg.data, { origin: "remote" });
+        this.emit("snapshot", msg);
+    }
+}
+
+/**
+ * Remove properties and child controls that can not be read by a role (see dm.SetRoleAccess()) from patch data
+ * @param {dm} control - Control to which the patch data applies
+ * @param {object} data - Patch data
+ * @param {string} role
+ * @returns {object} - Filtered patch data, or undefined if nothing is left
+ */
+function filterRoleData(control, data, role) {
+    let options = { role: role };
+    let readable = (name) =>
+        !control._controls[name] ||
+        control._controls[name]._checkAccess(undefined, "Get", options);
+    let filtered = {};
+
+    Object.keys(data).forEach((k) => {
+        let child = control._controls[k];
+        if (child) {
+            if (!readable(k)) return;
+            let d =
+                data[k] && typeof data[k] == "object" && !Array.isArray(data[k])
+                    ? filterRoleData(child, data[k], role)
+                    : data[k];
+            if (d != undefined) filtered[k] = d;
+        } else if (k == "childOrder" && Array.isArray(data[k])) {
+            filtered[k] = data[k].filter(readable);
+        } else if (
+            !Object.prototype.hasOwnProperty.call(control._properties, k) ||
+            control._checkAccess(k, "Get", options)
+        ) {
+            // Removed child controls and properties
+            filtered[k] = data[k];
+        }
+    });
+
+    return Object.keys(filtered).length ? filtered : undefined;
+}
+
+/**
+ * Remove child controls (on all levels) not included in snapshot data
+ * @param {dm} control
+ * @param {object} data - Snapshot data of the control
+ */
+function removeMissingControls(control, data) {
+    Object.keys(control._controls).forEach((k) => {
+        if (!data || data[k] == undefined) {
+            control.RemoveChild(k, true);
+        } else {
+            removeMissingControls(control._controls[k], data[k]);
+        }
+    });
+}
+
+/**
+ * In-memory transport, for use in tests or between models in the same process. Use dmMemoryTransport.Pair() to create two connected transports. Messages are serialized to JSON and delivered asynchronously to simulate a network connection.
+ * @extends EventEmitter
+ * @class
+ */
+class dmMemoryTransport extends EventEmitter {
+    /**
+     * In-memory transport
+     */
+    constructor() {
+        super();
+        /**
+         * Connected remote transport
+         * @type {dmMemoryTransport}
+         */
+        this.remote = undefined;
+    }
+
+    /**
+     * Create two connected transports
+     * @returns {Array} - [transport A, transport B]
+     */
+    static Pair() {
+        let a = new dmMemoryTransport();
+        let b = new dmMemoryTransport();
+        a.remote = b;
+        b.remote = a;
+        return [a, b];
+    }
+
+    /**
+     * Send a message to the connected transport
+     * @param {object} message
+     */
+    send(message) {
+        if (!this.remote) return;
+        let remote = this.remote;
+        let raw = JSON.stringify(message);
+        queueMicrotask(() => {
+            remote.emit("message", JSON.parse(raw));
+        });
+    }
+
+    /**
+     * Disconnect from the remote transport
+     */
+    close() {
+        if (this.remote) this.remote.remote = undefined;
+        this.remote = undefined;
+    }
+}
+
+/**
+ * Transport over Node.js streams (e.g. a net.Socket or a child process' stdio) using newline delimited JSON messages. Lines that are not valid JSON are ignored, and the parse error is emitted through the 'messageError' event.
+ * @extends EventEmitter
+ * @class
+ */
+class dmStreamTransport extends EventEmitter {
+    /**
+     * Stream transport
+     * @param {stream.Readable} readable - Stream from which messages are received
+     * @param {stream.Writable} writable - [Optional] Stream to which messages are sent. Defaults to the readable stream (for duplex streams).
+     */
+    constructor(readable, writable) {
+        super();
+        this.readable = readable;
+        this.writable = writable || readable;
+        this._buffer = "";
+        // Multi-byte UTF-8 characters may be split across chunks
+        this._decoder = new StringDecoder("utf8");
+
+        this._onData = (chunk) => {
+            this._buffer +=
+                typeof chunk == "string" ? chunk : this._decoder.write(chunk);
+
+            let lines = this._buffer.split("\n");
+            this._buffer = lines.pop();
+
+            lines.forEach((line) => {
+                if (!line.trim()) return;
+                let msg;
+                try {
+                    msg = JSON.parse(line);
+                } catch (err) {
+                    this.emit("messageError", err);
+                    return;
+                }
+                this.emit("message", msg);
+            });
+        };
+
+        this.readable.on("data", this._onData);
+    }
+
+    /**
+     * Send a message
+     * @param {object} message
+     */
+    send(message) {
+        this.writable.write(JSON.stringify(message) + "\n");
+    }
+
+    /**
+     * Stop receiving messages. The streams are not closed.
+     */
+    close() {
+        this.readable.off("data", this._onData);
+    }
+}
+
+module.exports.PROTOCOL_VERSION = PROTOCOL_VERSION;
+module.exports.dmSyncSerializer = dmSyncSerializer;
+module.exports.dmSyncApplier = dmSyncApplier;
+module.exports.dmMemoryTransport = dmMemoryTransport;
+module.exports.dmStreamTransport = dmStreamTransport;
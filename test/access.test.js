@@ -0,0 +1,146 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: { room1: { controlType: "lockedRoom" } },
+    });
+}
+
+test("Set() does not apply properties with 'none' Set access", () => {
+    let tp = create();
+    let denied = [];
+    tp.on("accessDenied", (e) => denied.push(e));
+
+    tp.Set({ room1: { code: "0000", doors: 2 } });
+
+    assert.equal(tp.room1.code, "1234");
+    assert.equal(tp.room1.doors, 2);
+    assert.equal(denied.length, 1);
+    assert.equal(denied[0].path, "room1/code");
+    assert.equal(denied[0].property, "code");
+    assert.equal(denied[0].action, "Set");
+});
+
+test("Get() excludes properties with 'none' Get access", () => {
+    let tp = create();
+
+    assert.equal(tp.room1.Get().code, undefined);
+    assert.equal(tp.Get().room1.code, undefined);
+});
+
+test("'private' Set access is only granted to the control itself", () => {
+    let tp = create();
+
+    tp.Set({ room1: { alarm: true } });
+    tp.room1.Set({ alarm: true }, { caller: tp.room1 });
+    assert.equal(tp.room1.alarm, false);
+
+    tp.room1.Arm();
+    assert.equal(tp.room1.alarm, true);
+});
+
+test("'private' Get access is only granted to the control itself", () => {
+    let tp = create();
+    tp.room1.Set({ secret: "abc" });
+
+    assert.equal(tp.room1.Get().secret, undefined);
+    assert.equal(
+        tp.room1.Get({ sparse: true, caller: tp.room1 }).secret,
+        undefined
+    );
+    assert.equal(tp.room1.Reveal(), "abc");
+});
+
+test("Role based access rules apply to child controls", () => {
+    let tp = createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room" },
+                room2: { controlType: "room" },
+            },
+        },
+    });
+    tp.SetRoleAccess("operator", { Set: "none" });
+    tp.house1.room1.SetRoleAccess("operator", { Set: "public" });
+
+    tp.Set(
+        { house1: { room1: { doors: 2 }, room2: { doors: 2 } } },
+        { role: "operator" }
+    );
+    assert.equal(tp.house1.room1.doors, 2);
+    assert.equal(tp.house1.room2.doors, 1);
+
+    // Rules do not apply without a role
+    tp.Set({ house1: { room2: { doors: 3 } } });
+    assert.equal(tp.house1.room2.doors, 3);
+});
+
+test("Role based Get rules exclude controls", () => {
+    let tp = createTestContainer(classes, {
+        data: {
+            room1: { controlType: "room" },
+            room2: { controlType: "room" },
+        },
+    });
+    tp.room2.SetRoleAccess("guest", { Get: "none" });
+
+    let data = tp.Get({ sparse: true, role: "guest" });
+    assert.ok(data.room1);
+    assert.equal(data.room2, undefined);
+});
+
+test("'private' setter and getter access is granted through _private after an await", async () => {
+    let tp = createTestContainer(classes, {
+        data: { safe1: { controlType: "safe" } },
+    });
+
+    await tp.safe1.ChangePin("4321");
+
+    assert.equal(tp.safe1.pin, undefined);
+    assert.equal(tp.safe1._properties.pin, "4321");
+    assert.deepEqual(tp.safe1.log, ["pin changed"]);
+    assert.equal(tp.safe1.Check("4321"), true);
+});
+
+test("'private' setter and getter access is not granted to code called by the control's methods", () => {
+    let tp = createTestContainer(classes, {
+        data: { safe1: { controlType: "safe" } },
+    });
+    let denied = [];
+    let read;
+    tp.on("accessDenied", (e) => denied.push(e));
+    tp.safe1.on("checked", () => {
+        read = tp.safe1.pin;
+        tp.safe1.pin = "9999";
+        tp.safe1.log.push("tampered");
+    });
+
+    tp.safe1.Check("0000");
+
+    assert.equal(read, undefined);
+    assert.equal(tp.safe1._properties.pin, "0000");
+    assert.deepEqual(tp.safe1.log, []);
+    assert.deepEqual(
+        denied.map((e) => e.property),
+        ["pin", "log"]
+    );
+    assert.ok(!Object.getOwnPropertyNames(tp.safe1).includes("Check"));
+});
+
+test("'private' Call access is only granted through _private", async () => {
+    let tp = createTestContainer(classes, {
+        data: { counter1: { controlType: "counter", count: 3 } },
+    });
+    let counter = tp.counter1;
+
+    await assert.rejects(counter.Call("audit"), /Access denied/);
+    await assert.rejects(
+        counter.Call("audit", [], { caller: counter }),
+        /Access denied/
+    );
+    assert.equal(await counter.RunAudit(), 3);
+});
@@ -0,0 +1,207 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const {
+    dmSyncSerializer,
+    dmSyncApplier,
+    dmMemoryTransport,
+} = require("../index");
+const { createTestContainer, waitForEvent } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room" },
+                room2: { controlType: "room" },
+            },
+        },
+    });
+}
+
+test("Batch() emits a single merged 'data' event per control", () => {
+    let tp = create();
+    let events = [];
+    let roomEvents = [];
+    tp.house1.on("data", (data) => events.push(data));
+    tp.house1.room1.on("data", (data) => roomEvents.push(data));
+
+    let result = tp.house1.Batch((house) => {
+        house.room1.doors = 2;
+        house.room1.windows = 3;
+        house.room2.doors = 4;
+        return "done";
+    });
+
+    assert.equal(result, "done");
+    assert.deepStrictEqual(events, [
+        { room1: { doors: 2, windows: 3 }, room2: { doors: 4 } },
+    ]);
+    assert.deepStrictEqual(roomEvents, [{ doors: 2, windows: 3 }]);
+});
+
+test("Nested BeginUpdate() calls join the outermost batch", () => {
+    let tp = create();
+    let events = [];
+    tp.on("data", (data) => events.push(data));
+
+    tp.house1.room1.BeginUpdate();
+    tp.house1.room1.doors = 2;
+    tp.house1.BeginUpdate();
+    tp.house1.room2.doors = 3;
+    tp.house1.room1.EndUpdate();
+    assert.equal(events.length, 0);
+
+    tp.house1.EndUpdate();
+    assert.deepStrictEqual(events, [
+        { house1: { room1: { doors: 2 }, room2: { doors: 3 } } },
+    ]);
+});
+
+test("Batch() with onError 'rollback' reverts changes and discards their notifications", () => {
+    let tp = create();
+    let events = [];
+    tp.on("data", (data) => events.push(data));
+
+    assert.throws(
+        () =>
+            tp.house1.Batch(
+                (house) => {
+                    house.room1.doors = 2;
+                    house.room2.name = "hall";
+                    throw new Error("failed");
+                },
+                { onError: "rollback" }
+            ),
+        /failed/
+    );
+
+    assert.equal(tp.house1.room1.doors, 1);
+    assert.equal(tp.house1.room2.name, "");
+    assert.deepStrictEqual(events, []);
+});
+
+test("Batch() with onError 'flush' keeps and notifies changes", () => {
+    let tp = create();
+    let events = [];
+    tp.on("data", (data) => events.push(data));
+
+    assert.throws(() =>
+        tp.house1.Batch((house) => {
+            house.room1.doors = 2;
+            throw new Error("failed");
+        })
+    );
+
+    assert.equal(tp.house1.room1.doors, 2);
+    assert.deepStrictEqual(events, [{ house1: { room1: { doors: 2 } } }]);
+});
+
+test("A control recreated in a batch is notified after its removal", async () => {
+    let server = createTestContainer(classes, {
+        data: {
+            room1: { controlType: "room", doors: 3 },
+            house1: { controlType: "house" },
+        },
+    });
+    let client = createTestContainer(classes);
+    let [a, b] = dmMemoryTransport.Pair();
+    new dmSyncSerializer(server, a);
+    let applier = new dmSyncApplier(client, b);
+    await waitForEvent(applier, "snapshot");
+
+    let events = [];
+    server.on("data", (data) => events.push(data));
+    server.Batch(() => {
+        server.RemoveChild("room1");
+        server.InsertChild("room1", { controlType: "room", windows: 5 });
+    });
+
+    assert.equal(events.length, 2);
+    assert.deepStrictEqual(events[0], { room1: { remove: true } });
+    assert.equal(events[1].room1.controlType, "room");
+
+    await waitForEvent(applier, "patch", {
+        filter: () => client.room1 != undefined,
+    });
+    assert.equal(client.room1.doors, 1);
+    assert.equal(client.room1.windows, 5);
+    assert.deepStrictEqual(
+        client.Get({ sparse: false }),
+        server.Get({ sparse: false })
+    );
+});
+
+test("Batch() does not roll back changes made by other code while an async function runs", async () => {
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+    let warnings = [];
+    tp.AddLogSink({
+        write: (entry) => {
+            if (entry.level == "warn") warnings.push(entry);
+        },
+    });
+
+    let timer = new Promise((resolve) =>
+        setTimeout(() => {
+            tp.room1.windows = 7;
+            resolve();
+        }, 1)
+    );
+    let batch = tp.room1.Batch(
+        async (room) => {
+            room.doors = 2;
+            await timer;
+            throw new Error("failed");
+        },
+        { onError: "rollback" }
+    );
+
+    await assert.rejects(batch, /failed/);
+    assert.equal(tp.room1.windows, 7);
+    assert.equal(tp.room1.doors, 2);
+    assert.equal(warnings.length, 1);
+});
+
+test("Concurrent async batches on one control end their own batch levels", async () => {
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+    let events = [];
+    tp.on("data", (data) => events.push(data));
+
+    let release;
+    let pending = new Promise((resolve) => (release = resolve));
+    let first = tp.room1.Batch(async (room) => {
+        room.doors = 2;
+    });
+    let second = tp.room1.Batch(async (room) => {
+        await pending;
+        room.windows = 2;
+    });
+    let secondLevel = tp.room1._batchLevels[1];
+
+    // The first batch ends while the second batch is running
+    await first;
+    assert.deepStrictEqual(tp.room1._batchLevels, [secondLevel]);
+    assert.equal(events.length, 0);
+
+    // A synchronous rollback batch inside the running batch only reverts its own changes
+    assert.throws(() =>
+        tp.room1.Batch(
+            (room) => {
+                room.name = "hall";
+                throw new Error("failed");
+            },
+            { onError: "rollback" }
+        )
+    );
+    assert.equal(tp.room1.name, "");
+
+    release();
+    await second;
+    assert.deepStrictEqual(events, [{ room1: { doors: 2, windows: 2 } }]);
+    assert.deepStrictEqual(tp.room1._batchLevels, []);
+});
@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room" },
+                room2: { controlType: "room" },
+            },
+        },
+    });
+}
+
+function names(control, options) {
+    return control.Children(options).map((c) => c._controlName);
+}
+
+test("Child controls are kept in creation order", () => {
+    let tp = create();
+
+    assert.deepStrictEqual(names(tp.house1), ["room1", "room2"]);
+    assert.deepStrictEqual(tp.house1.Get().childOrder, ["room1", "room2"]);
+});
+
+test("InsertChild() creates a child control at a position", () => {
+    let tp = create();
+    let events = [];
+    tp.on("data", (data) => events.push(data));
+
+    let room = tp.house1.InsertChild("room3", { controlType: "room" }, 0);
+
+    assert.equal(room, tp.house1.room3);
+    assert.deepStrictEqual(names(tp.house1), ["room3", "room1", "room2"]);
+    assert.equal(events.length, 1);
+    assert.deepStrictEqual(events[0].house1.childOrder, [
+        "room3",
+        "room1",
+        "room2",
+    ]);
+    assert.equal(events[0].house1.room3.controlType, "room");
+});
+
+test("MoveChild() and Reorder() change the order", () => {
+    let tp = create();
+    tp.house1.InsertChild("room3", { controlType: "lockedRoom" });
+    let orders = [];
+    tp.house1.on("childOrder", (order) => orders.push(order));
+
+    tp.house1.MoveChild("room3", 0);
+    tp.house1.Reorder(["room2", "missing"]);
+
+    assert.deepStrictEqual(orders, [
+        ["room3", "room1", "room2"],
+        ["room2", "room3", "room1"],
+    ]);
+    assert.equal(tp.house1.MoveChild("missing", 0), false);
+    assert.deepStrictEqual(names(tp.house1, { type: "room" }), [
+        "room2",
+        "room1",
+    ]);
+    assert.deepStrictEqual(names(tp.house1, { type: classes.room }), [
+        "room2",
+        "room3",
+        "room1",
+    ]);
+});
+
+test("Set() applies the childOrder key", () => {
+    let tp = create();
+
+    tp.Set({
+        house1: {
+            room3: { controlType: "room" },
+            childOrder: ["room3", "room2"],
+        },
+    });
+
+    assert.deepStrictEqual(names(tp.house1), ["room3", "room2", "room1"]);
+    assert.throws(() => tp.house1.InsertChild("remove", {}), /Invalid control name/);
+});
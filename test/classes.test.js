@@ -0,0 +1,171 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { dm, Classes } = require("../index");
+const { createTestContainer } = require("../testing");
+
+class dimmable extends dm {
+    constructor() {
+        super();
+        this.level = 0;
+        this.SetAccess("level", { Set: "none" });
+        this.SetMeta("level", { unit: "%" });
+    }
+
+    Init() {
+        this._calls.push("dimmable.Init");
+    }
+
+    Destroy() {
+        this._calls.push("dimmable.Destroy");
+    }
+
+    dim(level) {
+        this.level = level;
+    }
+}
+
+class schedulable extends dm {
+    constructor() {
+        super();
+        this.schedule = [];
+    }
+
+    async Init() {
+        await Promise.resolve();
+        this._calls.push("schedulable.Init");
+    }
+
+    Destroy() {
+        this._calls.push("schedulable.Destroy");
+    }
+}
+
+class room extends dm {
+    constructor() {
+        super();
+        this.doors = 1;
+        this._calls = [];
+    }
+
+    Init() {
+        this._calls.push("room.Init");
+    }
+
+    Destroy() {
+        this._calls.push("room.Destroy");
+    }
+}
+
+class smartRoom extends Classes(room, dimmable, schedulable) {}
+
+test("Classes() adds tracked properties of mixins with their settings", () => {
+    let tp = createTestContainer({ smartRoom });
+    let notified = [];
+    tp.on("data", (data, meta) => notified.push([data, meta]));
+    tp.Set({ room1: { controlType: "smartRoom", doors: 2, level: 50 } });
+
+    let room1 = tp.room1;
+    assert.equal(room1.doors, 2);
+    assert.equal(room1.level, 0); // Set access is 'none'
+    assert.deepStrictEqual(room1.schedule, []);
+
+    room1.dim(30);
+    assert.equal(room1.level, 30);
+    assert.deepStrictEqual(notified, [
+        [{ room1: { level: 30 } }, { level: { unit: "%" } }],
+    ]);
+});
+
+test("Classes() chains Init() in order and Destroy() in reverse order", async () => {
+    let tp = createTestContainer({ smartRoom });
+    tp.Set({ room1: { controlType: "smartRoom" } });
+    let room1 = tp.room1;
+
+    await tp.whenReady();
+    assert.deepStrictEqual(room1._calls, [
+        "room.Init",
+        "dimmable.Init",
+        "schedulable.Init",
+    ]);
+
+    room1._calls = [];
+    await tp.RemoveChild("room1");
+    assert.deepStrictEqual(room1._calls, [
+        "schedulable.Destroy",
+        "dimmable.Destroy",
+        "room.Destroy",
+    ]);
+});
+
+test("Classes() raises an error for conflicting members", () => {
+    class a extends dm {
+        reset() {
+            return "a";
+        }
+    }
+    class b extends dm {
+        reset() {
+            return "b";
+        }
+    }
+
+    assert.throws(() => Classes(dm, a, b), {
+        message: /method "reset" is defined by both a and b/,
+    });
+    assert.equal(
+        new (Classes(dm, a, b, { resolve: { reset: a } }))().reset(),
+        "a"
+    );
+
+    let combined = Classes(dm, a, b, {
+        resolve: {
+            reset: function () {
+                return (
+                    a.prototype.reset.call(this) + b.prototype.reset.call(this)
+                );
+            },
+        },
+    });
+    assert.equal(new combined().reset(), "ab");
+});
+
+test("Classes() raises an error for conflicting properties", () => {
+    class a extends dm {
+        constructor() {
+            super();
+            this.mode = "auto";
+        }
+    }
+    class b extends dm {
+        constructor() {
+            super();
+            this.mode = "manual";
+            this.SetAccess("mode", { Set: "none" });
+        }
+    }
+
+    assert.throws(() => new (Classes(dm, a, b))(), {
+        message: /property "mode" is defined by both a and b/,
+    });
+
+    let ab = new (Classes(dm, a, b, { resolve: { mode: a } }))();
+    assert.equal(ab.mode, "auto");
+    assert.equal(ab._acl.mode, undefined);
+
+    let ba = new (Classes(dm, a, b, { resolve: { mode: b } }))();
+    assert.equal(ba.mode, "manual");
+    assert.deepStrictEqual(ba._acl.mode, { Set: "none" });
+});
+
+test("Classes() does not report members shared through a common super class", () => {
+    class sensor extends dm {
+        read() {
+            return 1;
+        }
+    }
+    class temperature extends sensor {}
+    class humidity extends sensor {}
+
+    let c = new (Classes(dm, temperature, humidity))();
+    assert.equal(c.read(), 1);
+});
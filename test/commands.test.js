@@ -0,0 +1,108 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const {
+    dmSyncSerializer,
+    dmSyncApplier,
+    dmMemoryTransport,
+} = require("../index");
+const { createTestContainer, waitForEvent } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                counter1: { controlType: "counter", count: 5 },
+            },
+        },
+    });
+}
+
+test("Call() invokes commands and emits 'commandResult'", async () => {
+    let tp = create();
+    let results = [];
+    tp.on("commandResult", (r) => results.push(r));
+
+    assert.equal(await tp.Call("house1/counter1/reset", ["3"], { id: 1 }), 5);
+    assert.equal(tp.house1.counter1.count, 3);
+    assert.equal(await tp.house1.Call("/house1/counter1/increment"), 4);
+
+    assert.deepStrictEqual(results[0], {
+        id: 1,
+        path: "house1/counter1/reset",
+        command: "reset",
+        result: 5,
+        error: undefined,
+    });
+    assert.equal(results.length, 2);
+    assert.ok(results[1].id != undefined);
+});
+
+test("Call() rejects missing commands, invalid arguments and failures", async () => {
+    let tp = create();
+
+    await assert.rejects(tp.Call("house1/counter1/missing"), /not found/);
+    await assert.rejects(tp.Call("house1/room9/reset"), /not found/);
+    await assert.rejects(tp.Call("house1/counter1/reset", [-1]));
+    await assert.rejects(tp.Call("house1/counter1/fail"), /failed/);
+    assert.equal(tp.house1.counter1.count, 5);
+});
+
+test("Command access rules and role based Call rules are applied", async () => {
+    let tp = create();
+    let denied = [];
+    tp.on("accessDenied", (e) => denied.push(e));
+    tp.SetRoleAccess("viewer", { Call: "none" });
+
+    await assert.rejects(tp.Call("house1/counter1/lock"));
+    await assert.rejects(
+        tp.Call("house1/counter1/reset", [], { role: "viewer" })
+    );
+    assert.equal(tp.house1.counter1.count, 5);
+    assert.deepStrictEqual(
+        denied.map((e) => [e.path, e.action]),
+        [
+            ["house1/counter1/lock", "Call"],
+            ["house1/counter1/reset", "Call"],
+        ]
+    );
+});
+
+test("Commands are invoked through the command key in Set() data", async () => {
+    let tp = create();
+
+    let result = waitForEvent(tp, "commandResult");
+    tp.Set({
+        house1: {
+            counter1: {
+                count: 1,
+                command: [{ name: "increment", id: "req-1" }],
+            },
+        },
+    });
+
+    assert.deepStrictEqual(await result, {
+        id: "req-1",
+        path: "house1/counter1/increment",
+        command: "increment",
+        result: 2,
+        error: undefined,
+    });
+});
+
+test("dmSyncApplier calls commands on the serializer side", async () => {
+    let server = create();
+    let client = createTestContainer(classes);
+    let [a, b] = dmMemoryTransport.Pair();
+    new dmSyncSerializer(server, a, { role: "operator" });
+    let applier = new dmSyncApplier(client, b);
+    server.house1.counter1.SetRoleAccess("operator", { Call: "none" });
+
+    await assert.rejects(applier.Call("house1/counter1/reset", [1]));
+    server.house1.counter1.SetRoleAccess("operator", { Call: "public" });
+    assert.equal(await applier.Call("house1/counter1/reset", [1]), 5);
+    assert.equal(server.house1.counter1.count, 1);
+
+    applier.Close();
+});
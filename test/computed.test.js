@@ -0,0 +1,103 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { dm } = require("../index");
+const { createTestContainer } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: {
+            building1: {
+                controlType: "building",
+                room1: { controlType: "room", windows: 2 },
+                room2: { controlType: "room", windows: 3 },
+            },
+        },
+    });
+}
+
+test("Computed properties are calculated on creation and recalculated on changes", () => {
+    let tp = create();
+    let events = [];
+    tp.on("data", (data) => events.push(data));
+
+    assert.equal(tp.building1.totalWindows, 5);
+    assert.equal(tp.building1.summary, "5 windows");
+
+    tp.building1.room1.windows = 4;
+    assert.equal(tp.building1.totalWindows, 7);
+    assert.equal(tp.building1.summary, "7 windows");
+    assert.deepStrictEqual(events, [
+        { building1: { room1: { windows: 4 } } },
+        { building1: { totalWindows: 7 } },
+        { building1: { summary: "7 windows" } },
+    ]);
+});
+
+test("Computed properties are recalculated when child controls are created or removed", () => {
+    let tp = create();
+
+    tp.building1.Set({ room3: { controlType: "room", windows: 1 } });
+    assert.equal(tp.building1.totalWindows, 6);
+
+    tp.building1.RemoveChild("room1");
+    assert.equal(tp.building1.totalWindows, 4);
+});
+
+test("Computed properties can not be set", () => {
+    let tp = create();
+    let denied = [];
+    tp.on("accessDenied", (e) => denied.push(e));
+
+    tp.building1.totalWindows = 100;
+    tp.Set({ building1: { totalWindows: 100 } }, { role: "operator" });
+
+    assert.equal(tp.building1.totalWindows, 5);
+    assert.equal(tp.Get().building1.totalWindows, 5);
+    assert.deepStrictEqual(denied, [
+        {
+            path: "building1/totalWindows",
+            property: "totalWindows",
+            action: "Set",
+            role: "operator",
+            value: 100,
+        },
+    ]);
+});
+
+test("Set() does not report computed values equal to the calculated value", () => {
+    let tp = create();
+    let denied = [];
+    tp.on("accessDenied", (e) => denied.push(e));
+
+    // Data as received from a synchronised data model
+    tp.Set({
+        building1: {
+            totalWindows: 6,
+            summary: "6 windows",
+            room1: { windows: 3 },
+        },
+        building2: {
+            controlType: "building",
+            totalWindows: 1,
+            room1: { controlType: "room", windows: 1 },
+        },
+    });
+
+    assert.equal(tp.building1.totalWindows, 6);
+    assert.equal(tp.building2.totalWindows, 1);
+    assert.deepStrictEqual(denied, []);
+});
+
+test("SetComputed() throws on dependency cycles", () => {
+    let c = new dm();
+    c.a = 0;
+    c.b = 0;
+    c.SetComputed("a", ["b"], () => 1);
+
+    assert.throws(
+        () => c.SetComputed("b", ["a"], () => 1),
+        /dependency cycle: b -> a -> b/
+    );
+    assert.equal(c._computed.b, undefined);
+});
@@ -0,0 +1,157 @@
+// =====================================
+// Control classes used by the test suite
+//
+// Copyright BCC South Africa
+// =====================================
+
+const { dm } = require("../index");
+
+class house extends dm {
+    constructor() {
+        super();
+        this.streetNumber = "";
+        this.residents = [];
+    }
+}
+
+class building extends dm {
+    constructor() {
+        super();
+        this.totalWindows = 0;
+        this.summary = "";
+        this.SetComputed("totalWindows", ["*/windows"], function () {
+            return Object.values(this._controls).reduce(
+                (total, room) => total + room.windows,
+                0
+            );
+        });
+        this.SetComputed("summary", ["totalWindows"], function () {
+            return `${this.totalWindows} windows`;
+        });
+    }
+}
+
+class room extends dm {
+    constructor() {
+        super();
+        this.doors = 1;
+        this.windows = 1;
+        this.name = "";
+        this.config = { lights: { level: 0 } };
+    }
+}
+
+class lockedRoom extends room {
+    constructor() {
+        super();
+        this.code = "1234";
+        this.alarm = false;
+        this.secret = "";
+        this.SetAccess("code", { Get: "none", Set: "none" });
+        this.SetAccess("alarm", { Set: "private" });
+        this.SetAccess("secret", { Get: "private" });
+    }
+
+    Arm() {
+        this._private.Set({ alarm: true });
+    }
+
+    Reveal() {
+        return this._private.Get().secret;
+    }
+}
+
+class safe extends dm {
+    constructor() {
+        super();
+        this.pin = "0000";
+        this.log = [];
+        this.SetAccess("pin", { setter: "private", getter: "private" });
+        this.SetAccess("log", { setter: "private" });
+    }
+
+    async ChangePin(pin) {
+        await Promise.resolve();
+        this._private.pin = pin;
+        this._private.log.push("pin changed");
+    }
+
+    Check(pin) {
+        let valid = pin == this._private.pin;
+        this.emit("checked", valid);
+        return valid;
+    }
+}
+
+class counter extends dm {
+    constructor() {
+        super();
+        this.count = 0;
+        this.SetCommand("reset", { args: [{ type: "number", min: 0 }] });
+        this.SetCommand("increment");
+        this.SetCommand("fail");
+        this.SetCommand("lock");
+        this.SetAccess("lock", { Call: "none" });
+        this.SetCommand("audit");
+        this.SetAccess("audit", { Call: "private" });
+    }
+
+    reset(value = 0) {
+        let old = this.count;
+        this.count = value;
+        return old;
+    }
+
+    async increment() {
+        await Promise.resolve();
+        return ++this.count;
+    }
+
+    fail() {
+        throw new Error("failed");
+    }
+
+    lock() {}
+
+    audit() {
+        return this._private.GetPath("count");
+    }
+
+    RunAudit() {
+        return this._private.Call("audit");
+    }
+}
+
+class sensor extends dm {
+    constructor() {
+        super();
+        this.level = 0;
+        this.SetMeta("level", { unit: "lux" });
+    }
+
+    Init() {
+        this.SetNotifyPolicy("level", { throttle: 100 });
+    }
+}
+
+class meter extends dm {
+    constructor() {
+        super();
+        this.peak = 0;
+        this.SetNotifyPolicy("peak", { delta: 5 });
+    }
+}
+
+/**
+ * Control classes by controlType name, for use with createTestContainer()
+ */
+module.exports = {
+    house: house,
+    building: building,
+    room: room,
+    lockedRoom: lockedRoom,
+    safe: safe,
+    sensor: sensor,
+    counter: counter,
+    meter: meter,
+};
@@ -0,0 +1,108 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer, useFakeTimers } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "lockedRoom" },
+            },
+            house2: { controlType: "house" },
+        },
+    });
+}
+
+test("Inspect() dumps properties, settings and listeners", () => {
+    let tp = create();
+    let listener = () => {};
+    tp.house1.on("data", listener);
+    tp.house1.watch("*/doors", listener);
+
+    let tree = tp.Inspect();
+    let house = tree.children[0];
+    let room = house.children[0];
+
+    assert.equal(house.path, "house1");
+    assert.equal(house.listeners.data, 1);
+    assert.deepStrictEqual(house.watchers, ["*/doors"]);
+    assert.equal(room.controlType, "lockedRoom");
+    assert.equal(room.properties.code, "1234");
+    assert.deepStrictEqual(room.acl.code, { Get: "none", Set: "none" });
+    assert.deepStrictEqual(tp.Inspect({ depth: 1 }).children[0].children, []);
+
+    let text = tp.Inspect({ text: true });
+    assert.match(text, /^\/ \(dmTopLevelContainer\)/);
+    assert.match(text, /\n {4}room1 \(lockedRoom\)/);
+    assert.match(
+        text,
+        /code = "1234" {2}\[acl: \{"Get":"none","Set":"none"\}\]/
+    );
+});
+
+test("FindListenerLeaks() finds and removes subscriptions of removed callers", () => {
+    let tp = create();
+    let listener = () => {};
+    let before = tp.house2.listenerCount("data");
+    tp.house2.on("data", listener, { caller: tp.house1.room1 });
+    tp.house2.watch("*/doors", listener, { caller: tp.house1.room1 });
+
+    tp.RemoveChild("house1");
+
+    let leaks = tp.FindListenerLeaks();
+    assert.deepStrictEqual(
+        leaks.map((l) => [l.path, l.eventName, l.pattern, l.callerPath]),
+        [
+            ["house2", "data", undefined, "house1/room1"],
+            ["house2", undefined, "*/doors", "house1/room1"],
+        ]
+    );
+
+    tp.FindListenerLeaks({ remove: true });
+    assert.deepStrictEqual(tp.FindListenerLeaks(), []);
+    assert.equal(tp.house2.listenerCount("data"), before);
+    assert.deepStrictEqual(tp.house2._watchers, []);
+});
+
+test("The change trace records changes with their origin", (t) => {
+    let timers = useFakeTimers({ context: t, now: 1000 });
+    let tp = create();
+    let logs = [];
+    tp.on("log", (message) => logs.push(message));
+    tp.SetTrace({ limit: 2 });
+
+    tp.house1.room1.doors = 2;
+    timers.tick(10);
+    tp.Set({ house1: { room1: { windows: 3 } } }, { origin: "remote" });
+    tp.house2.streetNumber = "12";
+
+    assert.deepStrictEqual(tp.GetTrace(), [
+        {
+            time: 1010,
+            path: "house1/room1",
+            property: "windows",
+            value: 3,
+            oldValue: 1,
+            origin: "remote",
+        },
+        {
+            time: 1010,
+            path: "house2",
+            property: "streetNumber",
+            value: "12",
+            oldValue: "",
+            origin: "setter",
+        },
+    ]);
+    assert.deepStrictEqual(
+        tp.GetTrace({ path: "*/room*/*" }).map((e) => e.property),
+        ["windows"]
+    );
+    assert.equal(tp.GetTrace({ since: 1011 }).length, 0);
+    assert.equal(logs.filter((l) => l.includes("Trace [")).length, 3);
+
+    tp.SetTrace(undefined);
+    assert.deepStrictEqual(tp.GetTrace(), []);
+});
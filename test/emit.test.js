@@ -0,0 +1,97 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer, waitForEvent } = require("../testing");
+const classes = require("./controls");
+
+// Record the controls on which an event is received
+function listen(controls, eventName) {
+    let received = [];
+    controls.forEach((c) => {
+        c.on(eventName, (data) => received.push([c._controlName, data]));
+    });
+    return received;
+}
+
+function create() {
+    let tp = createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room" },
+            },
+        },
+    });
+    return [tp, tp.house1, tp.house1.room1];
+}
+
+test("emit() defaults to the local scope", () => {
+    let controls = create();
+    let received = listen(controls, "test");
+
+    controls[2].emit("test", 1);
+
+    assert.deepStrictEqual(received, [["room1", 1]]);
+});
+
+test("emit() with 'bubble' scope emits on the control and all parents", () => {
+    let controls = create();
+    let received = listen(controls, "test");
+
+    controls[2].emit("test", 2, "bubble");
+
+    assert.deepStrictEqual(received, [
+        ["room1", 2],
+        ["house1", 2],
+        ["topLevelContainer", 2],
+    ]);
+});
+
+test("emit() with 'top' scope only emits on the top level container", () => {
+    let controls = create();
+    let received = listen(controls, "test");
+
+    controls[2].emit("test", 3, "top");
+
+    assert.deepStrictEqual(received, [["topLevelContainer", 3]]);
+});
+
+test("emit() with 'local_top' scope emits on the control and the top level container", () => {
+    let controls = create();
+    let received = listen(controls, "test");
+
+    controls[2].emit("test", 4, "local_top");
+
+    assert.deepStrictEqual(received, [
+        ["room1", 4],
+        ["topLevelContainer", 4],
+    ]);
+});
+
+test("Property changes are emitted as property events", async () => {
+    let [, , room1] = create();
+    let value = waitForEvent(room1, "doors");
+
+    room1.doors = 3;
+
+    assert.equal(await value, 3);
+});
+
+test("Property events are not emitted for unchanged values", () => {
+    let [, , room1] = create();
+    let received = listen([room1], "doors");
+
+    room1.doors = 1;
+    room1.Set({ doors: 1 });
+
+    assert.deepStrictEqual(received, []);
+});
+
+test("on() with { immediate: true } calls the listener with the current value", () => {
+    let [, , room1] = create();
+    let values = [];
+
+    room1.on("windows", (v) => values.push(v), { immediate: true });
+    room1.windows = 2;
+
+    assert.deepStrictEqual(values, [1, 2]);
+});
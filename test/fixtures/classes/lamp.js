@@ -0,0 +1,16 @@
+// =====================================
+// Control class loaded from the file system by the test suite
+//
+// Copyright BCC South Africa
+// =====================================
+
+const { dm } = require("../../../index");
+
+class lamp extends dm {
+    constructor() {
+        super();
+        this.power = false;
+    }
+}
+
+module.exports = lamp;
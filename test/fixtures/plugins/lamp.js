@@ -0,0 +1,16 @@
+// =====================================
+// Control class shadowed by a class with the same controlType in an earlier search path
+//
+// Copyright BCC South Africa
+// =====================================
+
+const { dm } = require("../../../index");
+
+class lamp extends dm {
+    constructor() {
+        super();
+        this.plugin = true;
+    }
+}
+
+module.exports = lamp;
@@ -0,0 +1,16 @@
+// =====================================
+// ES module control class loaded through SetAsync() by the test suite
+//
+// Copyright BCC South Africa
+// =====================================
+
+import modularDm from "../../../../index.js";
+
+const { dm } = modularDm;
+
+export class dimmer extends dm {
+    constructor() {
+        super();
+        this.level = 0;
+    }
+}
@@ -0,0 +1,113 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { dmMemoryLogSink, dmFileLogSink } = require("../index");
+const { createTestContainer } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room" },
+            },
+        },
+    });
+}
+
+test("Log() writes structured entries to log sinks and the 'log' event", () => {
+    let tp = create();
+    let memory = tp.AddLogSink(new dmMemoryLogSink());
+    let messages = [];
+    tp.on("log", (message) => messages.push(message));
+
+    tp.house1.room1.Log("Door opened", "info", { door: 2 });
+
+    assert.deepStrictEqual(messages, ["room | house1/room1: Door opened"]);
+    assert.equal(memory.entries.length, 1);
+    let entry = memory.entries[0];
+    assert.equal(typeof entry.time, "number");
+    assert.deepStrictEqual(Object.assign({}, entry, { time: 0 }), {
+        time: 0,
+        level: "info",
+        message: "Door opened",
+        path: "house1/room1",
+        controlType: "room",
+        className: "room",
+        fields: { door: 2 },
+    });
+});
+
+test("Log levels of sinks and controls filter entries", () => {
+    let tp = create();
+    let all = tp.AddLogSink(new dmMemoryLogSink());
+    let warnings = tp.AddLogSink(new dmMemoryLogSink({ level: "warn" }));
+
+    tp.house1.SetLogLevel("warn");
+    tp.house1.room1.Log("ignored", "info");
+    tp.house1.room1.Log("warning", "warn");
+    tp.Log("info", "info");
+    tp.house1.SetLogLevel(undefined);
+    tp.house1.room1.Log("debug", "debug");
+
+    assert.deepStrictEqual(
+        all.entries.map((e) => e.message),
+        ["warning", "info", "debug"]
+    );
+    assert.deepStrictEqual(
+        warnings.entries.map((e) => e.message),
+        ["warning"]
+    );
+    assert.throws(() => tp.SetLogLevel("verbose"), /Invalid log level/);
+});
+
+test("RemoveLogSink() removes a sink, and failing sinks are ignored", () => {
+    let tp = create();
+    let memory = tp.AddLogSink(new dmMemoryLogSink({ size: 2 }));
+    tp.AddLogSink({
+        write: () => {
+            throw new Error("failed");
+        },
+    });
+
+    tp.Log("1");
+    tp.Log("2");
+    tp.Log("3");
+    tp.RemoveLogSink(memory);
+    tp.Log("4");
+
+    assert.deepStrictEqual(
+        memory.entries.map((e) => e.message),
+        ["2", "3"]
+    );
+});
+
+test("dmFileLogSink appends JSON lines and rotates the log file", async (t) => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "modular-dm-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    let file = path.join(dir, "logs", "model.log");
+
+    let tp = create();
+    let sink = tp.AddLogSink(
+        new dmFileLogSink({ file: file, maxSize: 300, maxFiles: 1 })
+    );
+    for (let i = 0; i < 6; i++) tp.Log(`message ${i}`);
+    await sink.flush();
+
+    let read = (f) =>
+        fs
+            .readFileSync(f, "utf8")
+            .trim()
+            .split("\n")
+            .map((l) => JSON.parse(l).message);
+    let current = read(file);
+    let rotated = read(`${file}.1`);
+
+    assert.ok(fs.statSync(file).size <= 300);
+    assert.equal(current[current.length - 1], "message 5");
+    assert.ok(rotated.length > 0);
+    assert.ok(!fs.existsSync(`${file}.2`));
+});
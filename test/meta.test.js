@@ -0,0 +1,55 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const {
+    createTestContainer,
+    waitForData,
+    useFakeTimers,
+} = require("../testing");
+const classes = require("./controls");
+
+test("SetMeta() meta data is passed with the 'data' event", async () => {
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+    tp.room1.SetMeta("windows", { unit: "count" });
+
+    let received;
+    tp.on("data", (data, meta) => (received = { data, meta }));
+    tp.room1.windows = 3;
+
+    assert.deepStrictEqual(received.data, { room1: { windows: 3 } });
+    assert.deepStrictEqual(received.meta, { windows: { unit: "count" } });
+});
+
+test("SetMeta() is ignored for unknown properties", () => {
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+    tp.room1.SetMeta("unknown", { a: 1 });
+
+    assert.equal(tp.room1._meta.unknown, undefined);
+});
+
+test("Meta data set in the constructor is passed with throttled notifications", async (t) => {
+    let timers = useFakeTimers({ context: t });
+    let tp = createTestContainer(classes, {
+        data: { sensor1: { controlType: "sensor" } },
+    });
+    await tp.whenReady();
+
+    let metas = [];
+    tp.on("data", (data, meta) => metas.push(meta));
+
+    tp.sensor1.level = 1;
+    tp.sensor1.level = 2;
+    tp.sensor1.level = 3;
+
+    let data = waitForData(tp, { sensor1: { level: 3 } });
+    timers.tick(100);
+
+    assert.deepStrictEqual(await data, { sensor1: { level: 3 } });
+    assert.deepStrictEqual(metas, [
+        { level: { unit: "lux" } },
+        { level: { unit: "lux" } },
+    ]);
+});
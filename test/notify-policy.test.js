@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer, useFakeTimers } = require("../testing");
+const classes = require("./controls");
+
+test("A delta policy set in the constructor applies to the first change", () => {
+    let tp = createTestContainer(classes, {
+        data: { meter1: { controlType: "meter" } },
+    });
+    let events = [];
+    tp.on("data", (data) => events.push(data));
+
+    tp.meter1.peak = 1;
+    assert.deepStrictEqual(events, []);
+
+    tp.meter1.peak = 6;
+    assert.deepStrictEqual(events, [{ meter1: { peak: 6 } }]);
+});
+
+test("Flush() sends changes held back by a delta policy", () => {
+    let tp = createTestContainer(classes, {
+        data: { meter1: { controlType: "meter" } },
+    });
+    let events = [];
+    tp.on("data", (data) => events.push(data));
+
+    tp.meter1.peak = 10;
+    tp.meter1.peak = 12;
+    assert.deepStrictEqual(events, [{ meter1: { peak: 10 } }]);
+
+    tp.Flush();
+    assert.deepStrictEqual(events, [
+        { meter1: { peak: 10 } },
+        { meter1: { peak: 12 } },
+    ]);
+
+    // Nothing is held back after a notification
+    tp.Flush();
+    assert.equal(events.length, 2);
+});
+
+test("A throttle policy notifies the last value when the throttle time expires", (t) => {
+    let timers = useFakeTimers({ context: t });
+    let tp = createTestContainer(classes, {
+        data: { sensor1: { controlType: "sensor" } },
+    });
+    let events = [];
+    tp.on("data", (data) => events.push(data));
+
+    tp.sensor1.level = 1;
+    tp.sensor1.level = 2;
+    tp.sensor1.level = 3;
+    assert.deepStrictEqual(events, [{ sensor1: { level: 1 } }]);
+
+    timers.tick(100);
+    assert.deepStrictEqual(events, [
+        { sensor1: { level: 1 } },
+        { sensor1: { level: 3 } },
+    ]);
+    assert.equal(timers.pending, 0);
+});
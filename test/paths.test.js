@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room", windows: 2 },
+                room2: { controlType: "lockedRoom" },
+            },
+        },
+    });
+}
+
+test("GetPath() and GetControl() resolve relative and absolute paths", () => {
+    let tp = create();
+
+    assert.equal(tp.GetPath("house1/room1/windows"), 2);
+    assert.equal(tp.house1.GetPath("/house1/room1/windows"), 2);
+    assert.equal(tp.GetPath("house1/room1").controlType, "room");
+    assert.equal(tp.GetControl("house1/room2"), tp.house1.room2);
+    assert.equal(tp.GetPath("house1/room3/doors"), undefined);
+    assert.equal(tp.house1.room1.GetAbsolutePath(), "house1/room1");
+});
+
+test("GetPath() applies Get access rules", () => {
+    let tp = create();
+
+    assert.equal(tp.GetPath("house1/room2/code"), undefined);
+    assert.equal(tp.GetPath("house1/room2/doors"), 1);
+});
+
+test("SetPath() sets properties and creates controls", () => {
+    let tp = create();
+
+    tp.SetPath("house1/room1/doors", 3);
+    tp.house1.room1.SetPath("/house1/room3", {
+        controlType: "room",
+        windows: 4,
+    });
+
+    assert.equal(tp.house1.room1.doors, 3);
+    assert.equal(tp.house1.room3.windows, 4);
+});
+
+test("Find() matches wildcards, ** and controlType", () => {
+    let tp = create();
+
+    assert.deepStrictEqual(
+        tp.Find("*/room?/windows").map((r) => [r.path, r.value]),
+        [
+            ["house1/room1/windows", 2],
+            ["house1/room2/windows", 1],
+        ]
+    );
+    assert.deepStrictEqual(
+        tp.Find("**", { controlType: "room" }).map((r) => r.path),
+        ["house1/room1"]
+    );
+
+    // Properties without Get access are not found
+    assert.deepStrictEqual(tp.Find("**/code"), []);
+});
@@ -0,0 +1,42 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { dm, dmMemoryStorage } = require("../index");
+const { createTestContainer } = require("../testing");
+
+class lock extends dm {
+    constructor() {
+        super();
+        this.pin = "";
+        this.label = "";
+        this.SetAccess("pin", { Get: "none", Set: "none" });
+        this.SetPersist("pin", true);
+    }
+
+    SetPin(pin) {
+        this.Set({ pin: pin }, { acl: false });
+    }
+}
+
+test("Restore() restores persisted properties without Set access", async () => {
+    let storage = new dmMemoryStorage();
+
+    let tp = createTestContainer(
+        { lock },
+        {
+            data: { door: { controlType: "lock", label: "front" } },
+        }
+    );
+    tp.SetPersistence({ storage: storage });
+    tp.door.SetPin("4321");
+    await tp.Save();
+
+    let restored = createTestContainer({ lock });
+    restored.SetPersistence({ storage: storage });
+    let denied = [];
+    restored.on("accessDenied", (e) => denied.push(e));
+
+    assert.equal(await restored.Restore(), true);
+    assert.equal(restored.door.pin, "4321");
+    assert.equal(restored.door.label, "front");
+    assert.deepStrictEqual(denied, []);
+});
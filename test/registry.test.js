@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const path = require("path");
+const { dm, dmTopLevelContainer } = require("../index");
+
+const classes = path.join(__dirname, "fixtures", "classes");
+const plugins = path.join(__dirname, "fixtures", "plugins");
+
+test("Control classes are loaded from the search paths in order", () => {
+    let tp = new dmTopLevelContainer([classes, plugins]);
+    tp.Set({ lamp1: { controlType: "lamp", power: true } });
+
+    assert.equal(tp.lamp1.power, true);
+    assert.equal(tp.lamp1.plugin, undefined);
+});
+
+test("AddPath() adds a search path", () => {
+    let tp = new dmTopLevelContainer([path.join(__dirname, "fixtures")]);
+    let missing = [];
+    tp.on("controlTypeNotFound", (e) => missing.push(e));
+
+    tp.Set({ lamp1: { controlType: "lamp" } });
+    assert.deepStrictEqual(
+        missing.map((e) => [e.path, e.controlType, e.error]),
+        [["lamp1", "lamp", "Class file not found"]]
+    );
+    assert.equal(tp.lamp1, undefined);
+
+    tp.AddPath(classes);
+    tp.Set({ lamp1: { controlType: "lamp" } });
+    assert.equal(tp.lamp1.power, false);
+});
+
+test("Register() registers classes instead of class files", () => {
+    class lamp extends dm {
+        constructor() {
+            super();
+            this.registered = true;
+        }
+    }
+
+    let tp = new dmTopLevelContainer([classes]);
+    tp.Register("lighting.lamp", lamp);
+    tp.Register("lamp", lamp);
+    tp.Set({
+        lamp1: { controlType: "lamp" },
+        lamp2: { controlType: "lighting.lamp" },
+    });
+
+    assert.equal(tp.lamp1.registered, true);
+    assert.equal(tp.lamp2.registered, true);
+    assert.throws(() => tp.Register("../lamp", lamp), /Invalid controlType/);
+    assert.throws(() => tp.Register("lamp", {}), /Invalid class/);
+});
+
+test("SetAsync() loads namespaced ES module classes", async () => {
+    let tp = new dmTopLevelContainer([classes, plugins]);
+
+    await tp.SetAsync({
+        room1: {
+            controlType: "lamp",
+            dimmer1: { controlType: "lighting.dimmer", level: 50 },
+        },
+    });
+
+    assert.equal(tp.room1.dimmer1.level, 50);
+    assert.equal(tp.room1.dimmer1.constructor.name, "dimmer");
+    assert.equal(await tp.LoadClass("missing"), undefined);
+});
@@ -0,0 +1,97 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer, waitForData } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room" },
+                room2: { controlType: "room" },
+            },
+        },
+    });
+}
+
+test("RemoveChild() removes the control and notifies the removal", async () => {
+    let tp = create();
+    let data = waitForData(tp);
+
+    await tp.house1.RemoveChild("room1");
+
+    assert.equal(tp.house1.room1, undefined);
+    assert.equal(tp.house1._controls.room1, undefined);
+    assert.deepStrictEqual(
+        tp.house1.Children().map((c) => c._controlName),
+        ["room2"]
+    );
+    assert.deepStrictEqual(await data, {
+        house1: { room1: { remove: true } },
+    });
+});
+
+test("RemoveChild() emits the 'remove' event and clears listeners", async () => {
+    let tp = create();
+    let room1 = tp.house1.room1;
+    let removed = false;
+    room1.on("remove", () => (removed = true));
+    room1.on("doors", () => {});
+
+    await tp.house1.RemoveChild("room1");
+
+    assert.ok(removed);
+    assert.equal(room1.listenerCount("doors"), 0);
+});
+
+test("RemoveChild() unsubscribes listeners registered with a caller", async () => {
+    let tp = create();
+    let calls = 0;
+    tp.house1.room2.on("doors", () => calls++, { caller: tp.house1.room1 });
+
+    await tp.house1.RemoveChild("room1");
+    tp.house1.room2.doors = 5;
+
+    assert.equal(calls, 0);
+    assert.equal(tp.house1.room2.listenerCount("doors"), 0);
+});
+
+test("Set() with { remove: true } removes the control without notifying", async () => {
+    let tp = create();
+    let notified = [];
+    tp.on("data", (d) => notified.push(d));
+
+    tp.Set({ house1: { room2: { remove: true } } });
+    await tp.whenReady();
+
+    assert.equal(tp.house1.room2, undefined);
+    assert.deepStrictEqual(notified, []);
+});
+
+test("RemoveChild() calls Destroy() on child controls first", async () => {
+    let order = [];
+    class tracked extends classes.room {
+        Destroy() {
+            order.push(this._controlName);
+        }
+    }
+    let tp = createTestContainer(
+        { tracked },
+        {
+            data: {
+                a: { controlType: "tracked", b: { controlType: "tracked" } },
+            },
+        }
+    );
+
+    await tp.RemoveChild("a");
+
+    assert.deepStrictEqual(order, ["b", "a"]);
+});
+
+test("RemoveChild() ignores unknown controls", async () => {
+    let tp = create();
+    await tp.RemoveChild("unknown");
+    assert.ok(tp.house1);
+});
@@ -0,0 +1,30 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { dm } = require("../index");
+const { createTestContainer } = require("../testing");
+
+class tag extends dm {
+    constructor() {
+        super();
+        this.code = "a1";
+        this.SetSchema("code", { pattern: /^[a-z][0-9]$/g });
+    }
+}
+
+test("SetSchema() patterns with the 'g' flag validate every value", () => {
+    let tp = createTestContainer(
+        { tag },
+        { data: { t: { controlType: "tag" } } }
+    );
+    let errors = [];
+    tp.on("validationError", (e) => errors.push(e.value));
+
+    ["b2", "c3", "d4", "e5"].forEach((v) => {
+        tp.t.code = v;
+        assert.equal(tp.t.code, v);
+    });
+    tp.t.code = "xx";
+
+    assert.equal(tp.t.code, "e5");
+    assert.deepStrictEqual(errors, ["xx"]);
+});
@@ -0,0 +1,143 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer, assertSnapshot } = require("../testing");
+const classes = require("./controls");
+
+test("Set() creates child controls and sets properties", () => {
+    let tp = createTestContainer(classes);
+    tp.Set({
+        house1: {
+            controlType: "house",
+            streetNumber: "12a",
+            room1: { controlType: "room", doors: 2 },
+        },
+    });
+
+    assert.ok(tp.house1);
+    assert.equal(tp.house1.streetNumber, "12a");
+    assert.equal(tp.house1.room1.doors, 2);
+    assert.equal(tp.house1.room1.windows, 1);
+    assert.equal(tp.house1.room1._parent, tp.house1);
+});
+
+test("Set() updates existing controls and merges object properties", () => {
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+
+    tp.Set({
+        room1: {
+            doors: 3,
+            config: { lights: { level: 5 }, heating: { on: true } },
+        },
+    });
+    tp.Set({ room1: { config: { heating: null } } });
+
+    assert.equal(tp.room1.doors, 3);
+    assert.deepStrictEqual(tp.room1.config, { lights: { level: 5 } });
+});
+
+test("Set() ignores unknown properties and unregistered control types", () => {
+    let tp = createTestContainer(classes);
+    let notFound = [];
+    tp.on("controlTypeNotFound", (e) => notFound.push(e.controlType));
+
+    tp.Set({
+        room1: { controlType: "room", unknown: 1 },
+        x: { controlType: "missing" },
+    });
+
+    assert.equal(tp.room1.unknown, undefined);
+    assert.equal(tp.x, undefined);
+    assert.deepStrictEqual(notFound, ["missing"]);
+});
+
+test("Get() returns properties and child controls", () => {
+    let tp = createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                streetNumber: "5",
+                room1: {
+                    controlType: "room",
+                    name: "kitchen",
+                    config: { lights: { level: 3 } },
+                },
+            },
+        },
+    });
+
+    assertSnapshot(tp, {
+        house1: {
+            controlType: "house",
+            streetNumber: "5",
+            room1: {
+                controlType: "room",
+                doors: 1,
+                windows: 1,
+                name: "kitchen",
+                config: { lights: { level: 3 } },
+            },
+            childOrder: ["room1"],
+        },
+        childOrder: ["house1"],
+    });
+});
+
+test("Get() returns copies of arrays and objects", () => {
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+
+    let data = tp.room1.Get();
+    data.config.lights.level = 100;
+
+    assert.equal(tp.room1.config.lights.level, 0);
+});
+
+test("Get() excludes empty properties in sparse mode", () => {
+    let tp = createTestContainer(classes, {
+        data: { house1: { controlType: "house" } },
+    });
+
+    assert.deepStrictEqual(tp.house1.Get(), { controlType: "house" });
+    assert.deepStrictEqual(tp.house1.Get({ sparse: true }), {
+        controlType: "house",
+    });
+    assert.deepStrictEqual(tp.house1.Get({ sparse: false }), {
+        controlType: "house",
+        hideData: false,
+        streetNumber: "",
+        residents: [],
+    });
+});
+
+test("Get() excludes empty nested values in sparse mode", () => {
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+    tp.room1.config = { lights: { level: 1 }, label: "", tags: [] };
+
+    assert.deepStrictEqual(tp.room1.Get({ sparse: true }).config, {
+        lights: { level: 1 },
+    });
+    assert.deepStrictEqual(tp.room1.Get({ sparse: false }).config, {
+        lights: { level: 1 },
+        label: "",
+        tags: [],
+    });
+});
+
+test("Get() accepts a path", () => {
+    let tp = createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room", doors: 4 },
+            },
+        },
+    });
+
+    assert.equal(tp.Get("house1/room1/doors"), 4);
+    assert.equal(tp.Get("house1/room1").doors, 4);
+});
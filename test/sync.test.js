@@ -0,0 +1,176 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const {
+    dmSyncSerializer,
+    dmSyncApplier,
+    dmMemoryTransport,
+} = require("../index");
+const { createTestContainer, waitForEvent } = require("../testing");
+const classes = require("./controls");
+
+// Connect a server and client model, returning a function to drop the next patch sent by the server
+function connect(server, client) {
+    let [a, b] = dmMemoryTransport.Pair();
+    let drop = false;
+    let send = a.send.bind(a);
+    a.send = (msg) => {
+        if (drop && msg.type == "patch") {
+            drop = false;
+            return;
+        }
+        send(msg);
+    };
+
+    let serializer = new dmSyncSerializer(server, a);
+    let applier = new dmSyncApplier(client, b);
+    return {
+        serializer,
+        applier,
+        dropNextPatch: () => (drop = true),
+    };
+}
+
+test("dmSyncApplier resyncs after a dropped patch", async () => {
+    let server = createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room", name: "kitchen" },
+                room2: { controlType: "room" },
+            },
+        },
+    });
+    let client = createTestContainer(classes);
+    let { applier, dropNextPatch } = connect(server, client);
+
+    await waitForEvent(applier, "snapshot");
+    assert.equal(client.house1.room1.name, "kitchen");
+
+    // Clear values (dropped), and make a change revealing the gap
+    dropNextPatch();
+    server.house1.room1.name = "";
+    server.house1.room1.doors = 0;
+    server.house1.room1.config = { lights: { level: 0 } };
+    server.house1.RemoveChild("room2");
+
+    await waitForEvent(applier, "snapshot");
+    assert.deepStrictEqual(
+        client.Get({ sparse: false }),
+        server.Get({ sparse: false })
+    );
+    assert.equal(client.house1.room2, undefined);
+});
+
+test("Invalid sync messages do not throw", async () => {
+    let { PassThrough } = require("stream");
+    let { dmStreamTransport } = require("../index");
+
+    let stream = new PassThrough();
+    let transport = new dmStreamTransport(stream);
+    let applier = new dmSyncApplier(createTestContainer(), transport, {
+        resync: false,
+    });
+
+    let parseError = waitForEvent(transport, "messageError");
+    stream.write("not json\n");
+    assert.ok((await parseError) instanceof SyntaxError);
+
+    let syncError = waitForEvent(applier, "syncError");
+    stream.write(JSON.stringify({ v: 0, type: "patch" }) + "\n");
+    assert.match((await syncError).message, /Unsupported sync message/);
+
+    applier.Close();
+    transport.close();
+});
+
+test("dmSyncSerializer applies role based Get rules to snapshots and patches", async () => {
+    let server = createTestContainer(classes, {
+        data: {
+            room1: { controlType: "room" },
+            room2: { controlType: "room" },
+        },
+    });
+    server.room2.SetRoleAccess("guest", { Get: "none" });
+    server.room1.SetRoleAccess("guest", { Get: "public" });
+
+    let client = createTestContainer(classes);
+    let [a, b] = dmMemoryTransport.Pair();
+    new dmSyncSerializer(server, a, { role: "guest" });
+    let applier = new dmSyncApplier(client, b);
+
+    await waitForEvent(applier, "snapshot");
+    assert.ok(client.room1);
+    assert.equal(client.room2, undefined);
+    assert.deepStrictEqual(client.Get().childOrder, ["room1"]);
+
+    server.room2.doors = 4;
+    server.room1.doors = 3;
+    let patch = await waitForEvent(applier, "patch");
+
+    assert.deepStrictEqual(patch.data, { room1: { doors: 3 } });
+    assert.equal(patch.seq, 1);
+    assert.equal(client.room1.doors, 3);
+    assert.equal(client.room2, undefined);
+});
+
+test("Controls created with falsy values are synced with those values", async () => {
+    let server = createTestContainer(classes);
+    let client = createTestContainer(classes);
+    let { applier } = connect(server, client);
+    await waitForEvent(applier, "snapshot");
+
+    server.InsertChild("room1", { controlType: "room", doors: 0, name: "" });
+    await waitForEvent(applier, "patch");
+
+    assert.equal(client.room1.doors, 0);
+    assert.deepStrictEqual(
+        client.Get({ sparse: false }),
+        server.Get({ sparse: false })
+    );
+});
+
+test("Moved, renamed and cloned controls are synced with falsy values", async () => {
+    let server = createTestContainer(classes, {
+        data: {
+            house1: { controlType: "house" },
+            room1: { controlType: "room", name: "lobby" },
+        },
+    });
+    let client = createTestContainer(classes);
+    let { applier } = connect(server, client);
+    await waitForEvent(applier, "snapshot");
+
+    server.room1.doors = 0;
+    server.room1.name = "";
+    server.room1.Rename("room2");
+    server.room2.Move(server.house1);
+    server.house1.room2.Clone("room3");
+
+    await waitForEvent(applier, "patch", {
+        filter: () => client.house1.room3 != undefined,
+    });
+    assert.equal(client.house1.room2.doors, 0);
+    assert.equal(client.house1.room2.name, "");
+    assert.equal(client.house1.room3.doors, 0);
+    assert.deepStrictEqual(
+        client.Get({ sparse: false }),
+        server.Get({ sparse: false })
+    );
+});
+
+test("dmStreamTransport decodes UTF-8 characters split across chunks", async () => {
+    let { PassThrough } = require("stream");
+    let { dmStreamTransport } = require("../index");
+
+    let stream = new PassThrough();
+    let transport = new dmStreamTransport(stream);
+    let message = waitForEvent(transport, "message");
+
+    let raw = Buffer.from(JSON.stringify({ x: "héllo" }) + "\n");
+    let split = raw.indexOf(Buffer.from("é")) + 1;
+    stream.write(raw.subarray(0, split));
+    stream.write(raw.subarray(split));
+
+    assert.deepStrictEqual(await message, { x: "héllo" });
+    transport.close();
+});
@@ -0,0 +1,96 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room", windows: 2 },
+            },
+            house2: { controlType: "house" },
+        },
+    });
+}
+
+test("Controls are created from templates merged with the passed data", () => {
+    let tp = create();
+    tp.RegisterTemplate("standardRoom", { controlType: "room", windows: 2 });
+    tp.RegisterTemplate("largeRoom", { template: "standardRoom", windows: 6 });
+    tp.RegisterTemplate("fullHouse", {
+        controlType: "house",
+        room1: { template: "largeRoom" },
+    });
+
+    tp.Set({
+        house1: {
+            room3: { template: "standardRoom", doors: 3 },
+            room4: { template: "largeRoom" },
+        },
+        house3: { template: "fullHouse" },
+    });
+
+    assert.equal(tp.house1.room3.windows, 2);
+    assert.equal(tp.house1.room3.doors, 3);
+    assert.equal(tp.house1.room4.windows, 6);
+    assert.equal(tp.house3.room1.windows, 6);
+});
+
+test("Missing and looping templates emit 'templateNotFound'", () => {
+    let tp = create();
+    let missing = [];
+    tp.on("templateNotFound", (e) => missing.push(e));
+    tp.RegisterTemplate("a", { template: "b" });
+    tp.RegisterTemplate("b", { template: "a" });
+
+    tp.Set({ room3: { template: "missing" }, room4: { template: "a" } });
+
+    assert.deepStrictEqual(
+        missing.map((e) => [e.path, e.template]),
+        [
+            ["room3", "missing"],
+            ["room4", "a"],
+        ]
+    );
+    assert.equal(tp.room3, undefined);
+    assert.equal(tp.room4, undefined);
+});
+
+test("Clone() copies a control to the same or another parent", () => {
+    let tp = create();
+    tp.house1.room1.doors = 4;
+
+    let copy = tp.house1.room1.Clone("room2");
+    tp.house1.room1.Clone("room1", tp.house2);
+
+    assert.equal(copy, tp.house1.room2);
+    assert.equal(tp.house1.room2.doors, 4);
+    assert.equal(tp.house1.room2.windows, 2);
+    assert.equal(tp.house2.room1.doors, 4);
+    assert.notEqual(tp.house2.room1, tp.house1.room1);
+});
+
+test("Move() and Rename() keep the control and its subscriptions", () => {
+    let tp = create();
+    let room = tp.house1.room1;
+    let moves = [];
+    let changes = [];
+    room.on("move", (e) => moves.push(e));
+    room.on("doors", (v) => changes.push(v));
+
+    room.Move(tp.house2);
+    room.Rename("kitchen");
+    room.doors = 2;
+
+    assert.equal(tp.house1.room1, undefined);
+    assert.equal(tp.house2.kitchen, room);
+    assert.equal(room.GetAbsolutePath(), "house2/kitchen");
+    assert.deepStrictEqual(moves, [
+        { from: "house1/room1", to: "house2/room1" },
+        { from: "house2/room1", to: "house2/kitchen" },
+    ]);
+    assert.deepStrictEqual(changes, [2]);
+    assert.throws(() => tp.house2.Move(room), /into itself/);
+});
@@ -0,0 +1,115 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+    createTestContainer,
+    waitForEvent,
+    waitForProperty,
+    assertSnapshot,
+    useFakeTimers,
+} = require("../testing");
+const classes = require("./controls");
+
+test("createTestContainer() does not load classes from the file system", () => {
+    let tp = createTestContainer({ room: classes.room });
+    let errors = [];
+    tp.on("controlTypeNotFound", (e) => errors.push(e.error));
+
+    tp.Set({ house1: { controlType: "house" } });
+
+    assert.equal(tp.house1, undefined);
+    assert.deepStrictEqual(errors, ["Class file not found"]);
+});
+
+test("waitForProperty() resolves when the property has the expected value", async () => {
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+
+    assert.equal(await waitForProperty(tp.room1, "doors", 1), 1);
+
+    let doors = waitForProperty(tp.room1, "doors", (v) => v > 2);
+    tp.room1.doors = 2;
+    tp.room1.doors = 3;
+    assert.equal(await doors, 3);
+});
+
+test("waitForEvent() rejects after the timeout, also with fake timers installed", async (t) => {
+    useFakeTimers({ context: t });
+    let tp = createTestContainer(classes);
+
+    await assert.rejects(waitForEvent(tp, "test", { timeout: 10 }), {
+        message: 'Timed out after 10 ms waiting for event "test" on "/"',
+    });
+});
+
+test("Fake timers run debounced notifications and advance Date.now()", async (t) => {
+    let timers = useFakeTimers({ context: t, now: 1000 });
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+    tp.room1.SetNotifyPolicy("doors", { debounce: 50 });
+    tp.room1.SetHistory("doors", true);
+
+    let notified = [];
+    tp.on("data", (d) => notified.push(d));
+
+    tp.room1.doors = 2;
+    timers.tick(40);
+    tp.room1.doors = 3;
+    timers.tick(40);
+    assert.deepStrictEqual(notified, []);
+
+    timers.tick(10);
+    assert.deepStrictEqual(notified, [{ room1: { doors: 3 } }]);
+    assert.equal(timers.pending, 0);
+    assert.deepStrictEqual(
+        tp.room1.GetHistory("doors").map((h) => h.time),
+        [1000, 1000, 1040]
+    );
+});
+
+test("tickAsync() runs pending promise callbacks between timers", async (t) => {
+    let timers = useFakeTimers({ context: t });
+    let values = [];
+    setTimeout(async () => {
+        await Promise.resolve();
+        values.push(1);
+        setTimeout(() => values.push(2), 10);
+    }, 10);
+
+    await timers.tickAsync(20);
+
+    assert.deepStrictEqual(values, [1, 2]);
+});
+
+test("assertSnapshot() writes and compares snapshot files", (t) => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), "modular-dm-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    let file = path.join(dir, "room.json");
+
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+
+    assertSnapshot(tp, file, { update: false, ignore: ["childOrder"] });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, "utf8")), {
+        room1: {
+            controlType: "room",
+            doors: 1,
+            windows: 1,
+            config: { lights: {} },
+        },
+    });
+
+    assertSnapshot(tp, file, { update: false, ignore: ["childOrder"] });
+
+    tp.room1.doors = 2;
+    assert.throws(
+        () =>
+            assertSnapshot(tp, file, { update: false, ignore: ["childOrder"] }),
+        { message: /Snapshot mismatch for "\/"/ }
+    );
+});
@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    let tp = createTestContainer(classes, {
+        data: { room1: { controlType: "room" } },
+    });
+    tp.SetUndo({});
+    return tp;
+}
+
+test("Set() ends its undo group when a listener throws", () => {
+    let tp = create();
+    tp.room1.on("windows", () => {
+        throw new Error("listener failed");
+    });
+
+    assert.throws(() => tp.Set({ room1: { windows: 2 } }), {
+        message: "listener failed",
+    });
+    assert.equal(tp._undo.groupDepth, 0);
+
+    tp.room1.doors = 5;
+    assert.equal(tp.Undo(), true);
+    assert.equal(tp.room1.doors, 1);
+    assert.ok(tp.room1);
+});
+
+test("Undo() ignores changes reverted by a batch rollback", () => {
+    let tp = create();
+    tp.room1.windows = 10;
+
+    assert.throws(() =>
+        tp.Batch(
+            () => {
+                tp.room1.windows = 20;
+                tp.Set({ room1: { doors: 3 } });
+                throw new Error("failed");
+            },
+            { onError: "rollback" }
+        )
+    );
+    assert.equal(tp.room1.windows, 10);
+    assert.equal(tp.room1.doors, 1);
+
+    assert.equal(tp.Undo(), true);
+    assert.equal(tp.room1.windows, 1);
+    assert.equal(tp.room1.doors, 1);
+    assert.equal(tp.Undo(), false);
+});
@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("assert");
+const { createTestContainer } = require("../testing");
+const classes = require("./controls");
+
+function create() {
+    return createTestContainer(classes, {
+        data: {
+            house1: {
+                controlType: "house",
+                room1: { controlType: "room" },
+            },
+        },
+    });
+}
+
+test("watch() notifies matching property changes, including new controls", () => {
+    let tp = create();
+    let changes = [];
+    tp.watch("*/room*/doors", (value, oldValue, path) =>
+        changes.push([path, value, oldValue])
+    );
+
+    tp.house1.room1.doors = 2;
+    tp.house1.room1.windows = 2;
+    tp.Set({ house1: { room2: { controlType: "room" } } });
+    tp.house1.room2.doors = 3;
+
+    assert.deepStrictEqual(changes, [
+        ["house1/room1/doors", 2, 1],
+        ["house1/room2/doors", 3, 1],
+    ]);
+});
+
+test("watch() matches nested controls with **", () => {
+    let tp = create();
+    let paths = [];
+    tp.watch("**/windows", (value, oldValue, path) => paths.push(path));
+
+    tp.house1.room1.windows = 2;
+    tp.Set({ room2: { controlType: "room" } });
+    tp.room2.windows = 4;
+
+    assert.deepStrictEqual(paths, ["house1/room1/windows", "room2/windows"]);
+});
+
+test("watch() with immediate calls the listener for current values", () => {
+    let tp = create();
+    let changes = [];
+    tp.house1.watch(
+        "room1/doors",
+        (value, oldValue, path) => changes.push([path, value, oldValue]),
+        { immediate: true }
+    );
+
+    assert.deepStrictEqual(changes, [["house1/room1/doors", 1, undefined]]);
+});
+
+test("unwatch() and removal of the caller end the subscription", () => {
+    let tp = create();
+    let count = 0;
+    let listener = () => count++;
+
+    tp.watch("house1/room1/doors", listener);
+    tp.house1.room1.doors = 2;
+    tp.unwatch("house1/room1/doors", listener);
+    tp.house1.room1.doors = 3;
+    assert.equal(count, 1);
+
+    tp.Set({ room2: { controlType: "room" } });
+    tp.watch("house1/room1/doors", listener, { caller: tp.room2 });
+    tp.RemoveChild("room2");
+    tp.house1.room1.doors = 4;
+    assert.equal(count, 1);
+});
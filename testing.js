@@ -0,0 +1,385 @@
+// =====================================
+// Test utilities for modular-dm data models
+//
+// Copyright BCC South Africa
+// =====================================
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { dmTopLevelContainer } = require("./index");
+
+// Timer functions used for wait timeouts, unaffected by installed fake timers
+const realSetTimeout = setTimeout;
+const realClearTimeout = clearTimeout;
+const realSetImmediate = setImmediate;
+
+/**
+ * Create a top level container for tests. Control classes are registered from the passed class definitions, and are not loaded from the file system.
+ * @param {Object} classes - [Optional] Control classes by controlType name (e.g. { room: room, 'lighting.dimmer': dimmer })
+ * @param {Object} options - [Optional] { data } - data: Initial data passed to Set()
+ * @returns {dmTopLevelContainer}
+ */
+function createTestContainer(classes = {}, options = {}) {
+    // No search paths: unregistered control types are reported through the 'controlTypeNotFound' event
+    let container = new dmTopLevelContainer([]);
+
+    Object.keys(classes).forEach((name) => {
+        container.Register(name, classes[name]);
+    });
+
+    if (options.data) container.Set(options.data);
+
+    return container;
+}
+
+/**
+ * Wait for an event emitted on a control
+ * @param {dm} control
+ * @param {string} eventName - Event name, e.g. a property name, 'data' or 'remove'
+ * @param {Object} options - [Optional] { timeout, filter } - timeout: Reject if no (matching) event is emitted within [timeout] ms (default: 1000); filter: filter(data, meta) function returning true for the event to wait for
+ * @returns {Promise} - Resolves to the emitted event data
+ */
+function waitForEvent(control, eventName, options = {}) {
+    let timeout = options.timeout != undefined ? options.timeout : 1000;
+
+    return new Promise((resolve, reject) => {
+        let timer;
+        let listener = (data, meta) => {
+            if (options.filter && !options.filter(data, meta)) return;
+            realClearTimeout(timer);
+            control.off(eventName, listener);
+            resolve(data);
+        };
+
+        timer = realSetTimeout(() => {
+            control.off(eventName, listener);
+            reject(
+                new Error(
+                    `Timed out after ${timeout} ms waiting for event "${eventName}" on "${
+                        control.GetAbsolutePath() || "/"
+                    }"`
+                )
+            );
+        }, timeout);
+
+        control.on(eventName, listener);
+    });
+}
+
+/**
+ * Wait until a property of a control has the expected value. Resolves immediately if the property already has the expected value.
+ * @param {dm} control
+ * @param {string} propertyName
+ * @param {*} expected - Expected value (compared with assert.deepStrictEqual() semantics), or a function(value) returning true for the expected value
+ * @param {Object} options - [Optional] { timeout } - timeout: Reject if the property does not have the expected value within [timeout] ms (default: 1000)
+ * @returns {Promise} - Resolves to the property value
+ */
+function waitForProperty(control, propertyName, expected, options = {}) {
+    let matches = (value) =>
+        typeof expected == "function"
+            ? expected(value)
+            : util.isDeepStrictEqual(value, expected);
+
+    let current = control._properties[propertyName];
+    if (current !== undefined && matches(current)) {
+        return Promise.resolve(current);
+    }
+
+    return waitForEvent(control, propertyName, {
+        timeout: options.timeout,
+        filter: (value) => matches(value),
+    });
+}
+
+/**
+ * Wait for a 'data' event payload of a control
+ * @param {dm} control
+ * @param {*} match - [Optional] Partial data (e.g. { room1: { doors: 2 } }) which should be included in the payload, or a function(data, meta) returning true for the payload to wait for. Waits for any payload if not passed.
+ * @param {Object} options - [Optional] { timeout } - timeout: Reject if no matching payload is emitted within [timeout] ms (default: 1000)
+ * @returns {Promise} - Resolves to the 'data' event payload
+ */
+function waitForData(control, match, options = {}) {
+    return waitForEvent(control, "data", {
+        timeout: options.timeout,
+        filter: (data, meta) =>
+            match == undefined ||
+            (typeof match == "function"
+                ? match(data, meta)
+                : includesData(data, match)),
+    });
+}
+
+/**
+ * Assert that the Get() result of a control is equal to a snapshot. When a snapshot file is passed, the snapshot is written to the file if the file does not exist, or when updating snapshots is enabled through the 'update' option or the DM_UPDATE_SNAPSHOTS environment variable.
+ * @param {dm} control
+ * @param {*} snapshot - Expected data, or the path to a JSON snapshot file
+ * @param {Object} options - [Optional] { get, ignore, update } - get: Options passed to Get() (default: { sparse: true }); ignore: List of keys excluded from the comparison on all levels (e.g. ['childOrder']); update: true: Overwrite the snapshot file
+ */
+function assertSnapshot(control, snapshot, options = {}) {
+    let data = omitKeys(control.Get(options.get), options.ignore || []);
+    let name = control.GetAbsolutePath() || "/";
+
+    if (typeof snapshot == "string") {
+        let update =
+            options.update != undefined
+                ? options.update
+                : !!process.env.DM_UPDATE_SNAPSHOTS;
+
+        if (update || !fs.existsSync(snapshot)) {
+            fs.mkdirSync(path.dirname(snapshot), { recursive: true });
+            fs.writeFileSync(snapshot, JSON.stringify(data, null, 4) + "\n");
+            return;
+        }
+
+        assert.deepStrictEqual(
+            data,
+            JSON.parse(fs.readFileSync(snapshot, "utf8")),
+            `Snapshot mismatch for "${name}" (${snapshot})`
+        );
+    } else {
+        assert.deepStrictEqual(
+            data,
+            omitKeys(snapshot, options.ignore || []),
+            `Snapshot mismatch for "${name}"`
+        );
+    }
+}
+
+/**
+ * Fake timers replacing the global setTimeout(), clearTimeout(), setInterval(), clearInterval() and Date.now() functions, to test throttled, debounced and other time based behaviour (e.g. SetNotifyPolicy(), SetHistory() and persistence) without waiting. Time only advances through tick() and tickAsync().
+ * @class
+ */
+class dmFakeTimers {
+    /**
+     * Fake timers
+     * @param {Object} options - [Optional] { now } - now: Initial time in ms since epoch (default: the current time)
+     */
+    constructor(options = {}) {
+        /**
+         * Current fake time (ms since epoch)
+         * @type {number}
+         */
+        this.now = options.now != undefined ? options.now : Date.now();
+        this._timers = new Map();
+        this._lastId = 0;
+        this._originals = undefined;
+    }
+
+    /**
+     * Replace the global timer functions
+     * @returns {dmFakeTimers}
+     */
+    install() {
+        if (this._originals) return this;
+
+        this._originals = {
+            setTimeout: global.setTimeout,
+            clearTimeout: global.clearTimeout,
+            setInterval: global.setInterval,
+            clearInterval: global.clearInterval,
+            now: Date.now,
+        };
+
+        global.setTimeout = (fn, ms, ...args) => this._add(fn, ms, args, false);
+        global.setInterval = (fn, ms, ...args) => this._add(fn, ms, args, true);
+        global.clearTimeout = (timer) => this._clear(timer);
+        global.clearInterval = (timer) => this._clear(timer);
+        Date.now = () => this.now;
+
+        return this;
+    }
+
+    /**
+     * Restore the global timer functions. Pending fake timers are discarded.
+     */
+    uninstall() {
+        if (!this._originals) return;
+
+        global.setTimeout = this._originals.setTimeout;
+        global.clearTimeout = this._originals.clearTimeout;
+        global.setInterval = this._originals.setInterval;
+        global.clearInterval = this._originals.clearInterval;
+        Date.now = this._originals.now;
+
+        this._originals = undefined;
+        this._timers.clear();
+    }
+
+    /**
+     * Number of pending timers
+     * @type {number}
+     */
+    get pending() {
+        return this._timers.size;
+    }
+
+    /**
+     * Advance the fake time, and run timers due within the passed time (in order)
+     * @param {number} ms
+     */
+    tick(ms) {
+        let end = this.now + ms;
+        let timer;
+        while ((timer = this._next(end))) {
+            this._run(timer);
+        }
+        this.now = end;
+    }
+
+    /**
+     * Advance the fake time, and run timers due within the passed time (in order). Pending promise callbacks (e.g. of async Init() methods) are run before and after every timer.
+     * @param {number} ms
+     * @returns {Promise}
+     */
+    async tickAsync(ms) {
+        let end = this.now + ms;
+        await flushPromises();
+        let timer;
+        while ((timer = this._next(end))) {
+            this._run(timer);
+            await flushPromises();
+        }
+        this.now = end;
+    }
+
+    /**
+     * Run all pending timers (including timers added by running timers), advancing the fake time to the last run timer
+     * @param {number} limit - [Optional] Maximum number of timers to run, to detect endlessly repeating timers (default: 1000)
+     */
+    runAll(limit = 1000) {
+        let timer;
+        for (let i = 0; (timer = this._next(Infinity)); i++) {
+            if (i >= limit) {
+                throw new Error(`Aborted after running ${limit} timers`);
+            }
+            this._run(timer);
+        }
+    }
+
+    // Add a fake timer
+    _add(fn, ms, args, repeat) {
+        let id = ++this._lastId;
+        let delay = Math.max(0, Number(ms) || 0);
+        this._timers.set(id, {
+            id: id,
+            fn: fn,
+            args: args,
+            time: this.now + delay,
+            interval: repeat ? Math.max(1, delay) : undefined,
+        });
+
+        // Timer handle compatible with Node.js Timeout objects
+        return {
+            id: id,
+            ref() {
+                return this;
+            },
+            unref() {
+                return this;
+            },
+            hasRef() {
+                return true;
+            },
+            [Symbol.toPrimitive]() {
+                return id;
+            },
+        };
+    }
+
+    // Remove a fake timer
+    _clear(timer) {
+        if (timer == undefined) return;
+        this._timers.delete(typeof timer == "object" ? timer.id : timer);
+    }
+
+    // Get the next timer due at or before the passed time
+    _next(end) {
+        let next;
+        this._timers.forEach((t) => {
+            if (
+                t.time <= end &&
+                (!next ||
+                    t.time < next.time ||
+                    (t.time == next.time && t.id < next.id))
+            ) {
+                next = t;
+            }
+        });
+        return next;
+    }
+
+    // Run a timer, rescheduling intervals
+    _run(timer) {
+        this.now = Math.max(this.now, timer.time);
+        if (timer.interval) {
+            timer.time += timer.interval;
+        } else {
+            this._timers.delete(timer.id);
+        }
+        timer.fn(...timer.args);
+    }
+}
+
+/**
+ * Install fake timers (see dmFakeTimers)
+ * @param {Object} options - [Optional] { now, context } - now: Initial time in ms since epoch; context: node:test test context. The fake timers are uninstalled when the test is finished.
+ * @returns {dmFakeTimers}
+ */
+function useFakeTimers(options = {}) {
+    let timers = new dmFakeTimers(options).install();
+    if (options.context && typeof options.context.after == "function") {
+        options.context.after(() => timers.uninstall());
+    }
+    return timers;
+}
+
+/**
+ * Wait until pending promise callbacks have run
+ * @returns {Promise}
+ */
+function flushPromises() {
+    return new Promise((resolve) => realSetImmediate(resolve));
+}
+
+/**
+ * Check if data includes all keys and values of a partial data object (on all levels)
+ * @param {*} data
+ * @param {*} match
+ * @returns {boolean}
+ */
+function includesData(data, match) {
+    if (
+        match != null &&
+        typeof match == "object" &&
+        !Array.isArray(match) &&
+        data != null &&
+        typeof data == "object" &&
+        !Array.isArray(data)
+    ) {
+        return Object.keys(match).every((k) => includesData(data[k], match[k]));
+    }
+    return util.isDeepStrictEqual(data, match);
+}
+
+/**
+ * Deep copy JSON compatible data, excluding the passed keys on all levels
+ * @param {*} data
+ * @param {Array} keys
+ * @returns {*}
+ */
+function omitKeys(data, keys) {
+    return JSON.parse(JSON.stringify(data), (k, v) =>
+        keys.includes(k) ? undefined : v
+    );
+}
+
+module.exports.createTestContainer = createTestContainer;
+module.exports.waitForEvent = waitForEvent;
+module.exports.waitForProperty = waitForProperty;
+module.exports.waitForData = waitForData;
+module.exports.assertSnapshot = assertSnapshot;
+module.exports.dmFakeTimers = dmFakeTimers;
+module.exports.useFakeTimers = useFakeTimers;
+module.exports.flushPromises = flushPromises;